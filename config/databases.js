@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+// Database registry file with configurable location
+const DATABASES_CONFIG_PATH =
+  process.env.DATABASES_CONFIG || path.join(__dirname, "databases.json");
+
+// Supported connection types and their default pool settings
+const POOL_DEFAULTS = {
+  postgres: {
+    max: 20,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 5000,
+  },
+  odbc: {
+    maxPoolSize: 5,
+    idleTimeoutMillis: 60000,
+    maxLifetimeMillis: 30 * 60 * 1000,
+    maxWaiters: 20,
+    acquireTimeoutMillis: 30000,
+    validationQuery: "SELECT 1",
+  },
+};
+
+// Circuit breaker defaults: consecutive failures before it opens, and the
+// backoff before the first retry, doubling up to the maximum
+const CIRCUIT_DEFAULTS = {
+  failureThreshold: 3,
+  baseDelayMillis: 5000,
+  maxDelayMillis: 5 * 60 * 1000,
+};
+
+// ${VAR} or ${VAR:-default} references to environment variables
+const ENV_REFERENCE_PATTERN = /\$\{(\w+)(?::-([^}]*))?\}/g;
+const WHOLE_ENV_REFERENCE_PATTERN = /^\$\{(\w+)(?::-([^}]*))?\}$/;
+
+// Loaded database definitions, populated on first use
+let databaseConfigs = null;
+
+/**
+ * Replace environment variable references in connection parameters
+ * A parameter that is only a reference to an unset variable without a
+ * default is left out, so the driver's own default applies
+ * @param {Object} params - Raw connection parameters
+ * @returns {Object} Parameters with references resolved
+ */
+function resolveEnvReferences(params) {
+  const resolved = {};
+
+  for (const [key, value] of Object.entries(params)) {
+    if (typeof value !== "string") {
+      resolved[key] = value;
+      continue;
+    }
+
+    const whole = value.match(WHOLE_ENV_REFERENCE_PATTERN);
+    if (
+      whole &&
+      process.env[whole[1]] === undefined &&
+      whole[2] === undefined
+    ) {
+      continue;
+    }
+
+    resolved[key] = value.replace(
+      ENV_REFERENCE_PATTERN,
+      (_, name, fallback) => process.env[name] ?? fallback ?? ""
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a database entry and fill in defaults
+ * @param {Object} entry - Raw database entry from the config file
+ * @param {number} index - Position of the entry in the file
+ * @returns {Object} Normalized database configuration
+ */
+function normalizeDatabaseConfig(entry, index) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`Database config #${index} must be an object`);
+  }
+
+  if (!entry.name) {
+    throw new Error(`Database config #${index} is missing 'name'`);
+  }
+
+  if (!POOL_DEFAULTS[entry.type]) {
+    throw new Error(
+      `Database config '${entry.name}' has unsupported type '${entry.type}'`
+    );
+  }
+
+  return {
+    ...entry,
+    params: resolveEnvReferences(entry.params || {}),
+    pool: { ...POOL_DEFAULTS[entry.type], ...entry.pool },
+    circuit: { ...CIRCUIT_DEFAULTS, ...entry.circuit },
+    // Source queries run at once, each on its own pooled connection
+    fetchConcurrency: Math.max(1, entry.fetchConcurrency || 1),
+  };
+}
+
+/**
+ * Load named database connections from the config file
+ * @param {string} configPath - Path to the JSON config file
+ * @returns {Array<Object>} List of database configurations
+ */
+function loadDatabaseConfigs(configPath = DATABASES_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const entries = Array.isArray(raw) ? raw : raw.databases;
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`No 'databases' array found in ${configPath}`);
+  }
+
+  const configs = entries.map(normalizeDatabaseConfig);
+
+  const seen = new Set();
+  for (const db of configs) {
+    if (seen.has(db.name)) {
+      throw new Error(`Duplicate database config '${db.name}'`);
+    }
+    seen.add(db.name);
+  }
+
+  logger.info(`Loaded ${configs.length} databases from ${configPath}`);
+  return configs;
+}
+
+/**
+ * Get every configured database
+ * @returns {Array<Object>} Database configurations in file order
+ */
+function getDatabaseConfigs() {
+  if (!databaseConfigs) {
+    databaseConfigs = loadDatabaseConfigs();
+  }
+  return databaseConfigs;
+}
+
+/**
+ * Get the configuration for a single database
+ * @param {string} name - Database name as declared in the config
+ * @returns {Object} Database configuration
+ */
+function getDatabaseConfig(name) {
+  const db = getDatabaseConfigs().find((d) => d.name === name);
+
+  if (!db) {
+    throw new Error(`Database configuration for '${name}' not found`);
+  }
+  return db;
+}
+
+module.exports = {
+  loadDatabaseConfigs,
+  getDatabaseConfigs,
+  getDatabaseConfig,
+};
@@ -1,8 +1,11 @@
 const winston = require("winston");
 const fs = require("fs");
 
+// Tests only log to the console, so runs leave the log file alone
+const logToFile = process.env.NODE_ENV !== "test";
+
 // Create logs directory if it doesn't exist
-if (!fs.existsSync("./logs")) {
+if (logToFile && !fs.existsSync("./logs")) {
   fs.mkdirSync("./logs");
 }
 
@@ -17,7 +20,9 @@ const logger = winston.createLogger({
   ),
   transports: [
     new winston.transports.Console(),
-    new winston.transports.File({ filename: "./logs/sync-service.log" }),
+    ...(logToFile
+      ? [new winston.transports.File({ filename: "./logs/sync-service.log" })]
+      : []),
   ],
 });
 
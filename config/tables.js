@@ -0,0 +1,485 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { encodeWatermark } = require("../utils/watermark");
+
+// Table mapping file with configurable location
+const TABLES_CONFIG_PATH =
+  process.env.TABLES_CONFIG || path.join(__dirname, "tables.json");
+
+// Rows written per statement when a table doesn't set batchSize
+const DEFAULT_BATCH_SIZE = parseInt(process.env.SYNC_BATCH_SIZE, 10) || 1000;
+
+// What to do when source columns don't match the target table
+const SCHEMA_DRIFT_POLICIES = ["fail", "ignore", "add"];
+const DEFAULT_SCHEMA_DRIFT = process.env.SCHEMA_DRIFT_POLICY || "fail";
+
+// Share of a table's rows one sync may delete before it needs approval,
+// unless the table sets its own change limits
+const DEFAULT_MAX_DELETE_PERCENT = parsePercentSetting(
+  "SYNC_MAX_DELETE_PERCENT",
+  50
+);
+
+// How rows deleted from the source are removed from the target
+const DELETE_MODES = ["hard", "soft", "archive"];
+
+// Seconds between syncs of tables without their own schedule
+const DEFAULT_SYNC_INTERVAL = parseInt(process.env.SYNC_INTERVAL, 10) || 10;
+
+// What a sync job does when it is due while its previous run is still going:
+// skip the run, or run once more as soon as the previous one finishes
+const OVERLAP_POLICIES = ["skip", "queue"];
+
+// How rows are read from the source: one query, keyset pages or a cursor
+const FETCH_MODES = ["query", "paged", "cursor"];
+
+// Collation text keys are ordered by in key-ordered reads limited with TOP
+// or FETCH FIRST (SQL Server), unless a table sets its own keyCollation.
+// It orders by code point like the merge join, where the default
+// case-insensitive collations don't
+const DEFAULT_KEY_COLLATION = "Latin1_General_BIN2";
+
+// Loaded table definitions, populated on first use
+let tableConfigs = null;
+
+/**
+ * Read a percentage limit from the environment
+ * "off" or an empty value turns the limit off, and 0 is a valid limit
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Limit used when the variable is unset or invalid
+ * @returns {number|null} Limit, null when turned off
+ */
+function parsePercentSetting(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined) return fallback;
+  if (value.trim() === "" || value.trim().toLowerCase() === "off") return null;
+
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 0) {
+    logger.warn(`Invalid ${name} '${value}', using ${fallback}`);
+    return fallback;
+  }
+  return percent;
+}
+
+/**
+ * Normalize a table's delete strategy, given as a mode name or an object
+ * Soft deletes default to a deleted_at column when neither column is set,
+ * archives to a table named after the target with an _archive suffix
+ * @param {Object} entry - Raw table entry from the config file
+ * @param {string} targetTable - Resolved target table name
+ * @returns {Object} { mode, deletedAtColumn, activeColumn, archiveTable }
+ */
+function normalizeDeleteStrategy(entry, targetTable) {
+  const strategy =
+    typeof entry.deleteStrategy === "string"
+      ? { mode: entry.deleteStrategy }
+      : { mode: "hard", ...entry.deleteStrategy };
+
+  if (!DELETE_MODES.includes(strategy.mode)) {
+    throw new Error(
+      `Table config '${entry.name}' has unsupported delete strategy '${strategy.mode}'`
+    );
+  }
+
+  const soft = strategy.mode === "soft";
+  const defaultDeletedAt = soft && !strategy.activeColumn ? "deleted_at" : null;
+  return {
+    mode: strategy.mode,
+    deletedAtColumn: soft ? strategy.deletedAtColumn || defaultDeletedAt : null,
+    activeColumn: soft ? strategy.activeColumn || null : null,
+    archiveTable:
+      strategy.mode === "archive"
+        ? strategy.archiveTable || `${targetTable}_archive`
+        : null,
+  };
+}
+
+/**
+ * Normalize a table's sync schedule, given as a cron expression or an object
+ * Tables without a cron expression or interval sync every SYNC_INTERVAL seconds
+ * @param {Object} entry - Raw table entry from the config file
+ * @returns {Object} { cron, interval, enabled, overlap }
+ */
+function normalizeSchedule(entry) {
+  const schedule =
+    typeof entry.schedule === "string"
+      ? { cron: entry.schedule }
+      : { ...entry.schedule };
+
+  if (schedule.cron && schedule.interval) {
+    throw new Error(
+      `Table config '${entry.name}' sets both a cron expression and an interval`
+    );
+  }
+
+  if (
+    schedule.interval !== undefined &&
+    !(Number.isFinite(schedule.interval) && schedule.interval > 0)
+  ) {
+    throw new Error(
+      `Table config '${entry.name}' has invalid schedule interval '${schedule.interval}'`
+    );
+  }
+
+  const overlap = schedule.overlap || "skip";
+  if (!OVERLAP_POLICIES.includes(overlap)) {
+    throw new Error(
+      `Table config '${entry.name}' has unsupported overlap policy '${overlap}'`
+    );
+  }
+
+  return {
+    cron: schedule.cron || null,
+    interval: schedule.cron ? null : schedule.interval || DEFAULT_SYNC_INTERVAL,
+    enabled: schedule.enabled !== false,
+    overlap,
+  };
+}
+
+/**
+ * Validate a table entry and fill in defaults
+ * @param {Object} entry - Raw table entry from the config file
+ * @param {number} index - Position of the entry in the file
+ * @returns {Object} Normalized table configuration
+ */
+function normalizeTableConfig(entry, index) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`Table config #${index} must be an object`);
+  }
+
+  if (!entry.name) {
+    throw new Error(`Table config #${index} is missing 'name'`);
+  }
+
+  if (!entry.primaryKey) {
+    throw new Error(`Table config '${entry.name}' is missing 'primaryKey'`);
+  }
+
+  if (Array.isArray(entry.primaryKey) && entry.primaryKey.length === 0) {
+    throw new Error(`Table config '${entry.name}' has an empty 'primaryKey'`);
+  }
+
+  if (entry.columns !== undefined && !Array.isArray(entry.columns)) {
+    throw new Error(`Table config '${entry.name}' has non-array 'columns'`);
+  }
+
+  if (entry.incremental && !entry.incremental.column) {
+    throw new Error(
+      `Table config '${entry.name}' has 'incremental' without a 'column'`
+    );
+  }
+
+  if (entry.incremental && entry.streaming) {
+    throw new Error(
+      `Table config '${entry.name}' can't be both 'incremental' and 'streaming'`
+    );
+  }
+
+  if (entry.fetch && !FETCH_MODES.includes(entry.fetch.mode || "query")) {
+    throw new Error(
+      `Table config '${entry.name}' has unsupported fetch mode '${entry.fetch.mode}'`
+    );
+  }
+
+  if (
+    entry.keyCollation != null &&
+    !/^"?[\w.-]+"?$/.test(String(entry.keyCollation))
+  ) {
+    throw new Error(
+      `Table config '${entry.name}' has invalid keyCollation '${entry.keyCollation}'`
+    );
+  }
+
+  const schemaDrift = entry.schemaDrift || DEFAULT_SCHEMA_DRIFT;
+  if (!SCHEMA_DRIFT_POLICIES.includes(schemaDrift)) {
+    throw new Error(
+      `Table config '${entry.name}' has unsupported schemaDrift policy '${schemaDrift}'`
+    );
+  }
+
+  if (
+    entry.ignoreColumns !== undefined &&
+    !Array.isArray(entry.ignoreColumns)
+  ) {
+    throw new Error(
+      `Table config '${entry.name}' has non-array 'ignoreColumns'`
+    );
+  }
+
+  if (entry.dependsOn !== undefined && !Array.isArray(entry.dependsOn)) {
+    throw new Error(`Table config '${entry.name}' has non-array 'dependsOn'`);
+  }
+
+  const targetTable = entry.targetTable || entry.name;
+
+  return {
+    ...entry,
+    source: entry.source || "remote",
+    sourceTable: entry.sourceTable || entry.name,
+    targetTable,
+    columns: entry.columns || null,
+    filter: entry.filter || null,
+    ignoreColumns: entry.ignoreColumns || [],
+    dependsOn: entry.dependsOn || [],
+    batchSize: entry.batchSize || DEFAULT_BATCH_SIZE,
+    reconcile: { repair: false, pageSize: 5000, ...entry.reconcile },
+    changeLimits: {
+      maxDeletes: null,
+      maxDeletePercent: DEFAULT_MAX_DELETE_PERCENT,
+      maxUpdates: null,
+      maxUpdatePercent: null,
+      ...entry.changeLimits,
+    },
+    schemaDrift,
+    deleteStrategy: normalizeDeleteStrategy(entry, targetTable),
+    schedule: normalizeSchedule(entry),
+    incremental: entry.incremental
+      ? { fullScanMinutes: 60, ...entry.incremental }
+      : null,
+    streaming: entry.streaming
+      ? {
+          pageSize: 5000,
+          limitStyle: "top",
+          ...(entry.streaming === true ? {} : entry.streaming),
+        }
+      : null,
+    fetch: {
+      mode: "query",
+      pageSize: 5000,
+      limitStyle: "top",
+      fetchSize: 1000,
+      ...entry.fetch,
+    },
+    query: entry.query || null,
+  };
+}
+
+/**
+ * Load table mappings from the config file
+ * @param {string} configPath - Path to the JSON config file
+ * @returns {Array<Object>} List of table configurations
+ */
+function loadTableConfigs(configPath = TABLES_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const entries = Array.isArray(raw) ? raw : raw.tables;
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`No 'tables' array found in ${configPath}`);
+  }
+
+  const configs = entries.map(normalizeTableConfig);
+
+  const seen = new Set();
+  for (const table of configs) {
+    if (seen.has(table.name)) {
+      throw new Error(`Duplicate table config '${table.name}'`);
+    }
+    seen.add(table.name);
+  }
+
+  for (const table of configs) {
+    const unknown = table.dependsOn.find((name) => !seen.has(name));
+    if (unknown) {
+      throw new Error(
+        `Table config '${table.name}' depends on unknown table '${unknown}'`
+      );
+    }
+  }
+
+  logger.info(`Loaded ${configs.length} table mappings from ${configPath}`);
+  return configs;
+}
+
+/**
+ * Get the configured tables, optionally only those read from one source
+ * @param {string} [sourceDbKey] - Source database key to filter by
+ * @returns {Array<Object>} Table configurations in file order
+ */
+function getTableConfigs(sourceDbKey) {
+  if (!tableConfigs) {
+    tableConfigs = loadTableConfigs();
+  }
+
+  if (!sourceDbKey) {
+    return tableConfigs;
+  }
+  return tableConfigs.filter((table) => table.source === sourceDbKey);
+}
+
+/**
+ * Get the configuration for a single table
+ * @param {string} name - Table name as declared in the config
+ * @returns {Object} Table configuration
+ */
+function getTableConfig(name) {
+  const table = getTableConfigs().find((t) => t.name === name);
+
+  if (!table) {
+    throw new Error(`Table '${name}' is not declared in the table config`);
+  }
+  return table;
+}
+
+/**
+ * Build the condition limiting a read to rows at or past a watermark
+ * Binary watermarks are bound as 0x-prefixed hex (see encodeWatermark) and
+ * converted back to varbinary, as SQL Server does with style 1
+ * @param {Object} table - Table configuration
+ * @param {*} watermark - Watermark value
+ * @returns {string} Condition with the watermark as its single parameter
+ */
+function buildWatermarkCondition(table, watermark) {
+  const placeholder = Buffer.isBuffer(watermark)
+    ? "CONVERT(varbinary(max), ?, 1)"
+    : "?";
+  return `${table.incremental.column} >= ${placeholder}`;
+}
+
+/**
+ * Build the SQL used to read a table from its source
+ * @param {Object} table - Table configuration
+ * @param {*} [watermark] - Only read rows at or past this watermark, bound
+ *   as the single parameter encoded with encodeWatermark
+ * @returns {string} SELECT statement
+ */
+function buildSourceQuery(table, watermark = undefined) {
+  const watermarkCondition =
+    watermark !== undefined ? buildWatermarkCondition(table, watermark) : null;
+
+  if (table.query) {
+    return watermarkCondition
+      ? `SELECT * FROM (${table.query}) src WHERE ${watermarkCondition}`
+      : table.query;
+  }
+
+  const columns = table.columns ? table.columns.join(", ") : "*";
+  const conditions = [table.filter, watermarkCondition].filter(Boolean);
+
+  let query = `SELECT ${columns} FROM ${table.sourceTable}`;
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.map((c) => `(${c})`).join(" AND ")}`;
+  }
+  return query;
+}
+
+/**
+ * Get the collation a table's text keys are ordered by in key-ordered reads
+ * @param {Object} table - Table configuration
+ * @param {string} [limitStyle] - How the source limits rows: "top", "limit" or "fetch"
+ * @returns {string|null} Collation name, null to use the source's own
+ */
+function getKeyCollation(table, limitStyle = "top") {
+  if (table.keyCollation !== undefined) {
+    return table.keyCollation || null;
+  }
+  return limitStyle === "limit" ? null : DEFAULT_KEY_COLLATION;
+}
+
+/**
+ * Get the FROM clause and selected columns of a table's source
+ * @param {Object} table - Table configuration
+ * @returns {Object} { from, columns }
+ */
+function getSourceRelation(table) {
+  if (table.query) {
+    return { from: `(${table.query}) src`, columns: "*" };
+  }
+  return {
+    from: table.sourceTable,
+    columns: table.columns ? table.columns.join(", ") : "*",
+  };
+}
+
+/**
+ * Build a query returning no rows, only the column types of a table's keys
+ * @param {Object} table - Table configuration
+ * @returns {string} SELECT statement
+ */
+function buildKeyTypeQuery(table) {
+  const keyColumns = Array.isArray(table.primaryKey)
+    ? table.primaryKey
+    : [table.primaryKey];
+  return `SELECT ${keyColumns.join(", ")} FROM ${
+    getSourceRelation(table).from
+  } WHERE 1 = 0`;
+}
+
+/**
+ * Build the SQL for one key-ordered page of a table (keyset pagination)
+ * Text keys are compared and ordered by the table's key collation, so the
+ * rows come back in the order the merge join expects
+ * @param {Object} table - Table configuration
+ * @param {Array|null} afterKey - Key values of the last row of the previous page, null for the first page
+ * @param {number} pageSize - Maximum rows per page
+ * @param {string} [limitStyle] - How the source limits rows: "top", "limit" or "fetch"
+ * @param {*} [watermark] - Only read rows at or past this incremental watermark
+ * @param {Array<string>} [textKeys] - Key columns holding text
+ * @returns {Object} Query as { sql, params }
+ */
+function buildPageQuery(
+  table,
+  afterKey,
+  pageSize,
+  limitStyle = "top",
+  watermark = undefined,
+  textKeys = []
+) {
+  const collation = getKeyCollation(table, limitStyle);
+  const orderColumns = (
+    Array.isArray(table.primaryKey) ? table.primaryKey : [table.primaryKey]
+  ).map((col) =>
+    collation && textKeys.includes(col) ? `${col} COLLATE ${collation}` : col
+  );
+  const conditions = [];
+  const params = [];
+
+  const { from, columns } = getSourceRelation(table);
+  if (!table.query && table.filter) {
+    conditions.push(`(${table.filter})`);
+  }
+
+  if (watermark !== undefined) {
+    conditions.push(buildWatermarkCondition(table, watermark));
+    params.push(encodeWatermark(watermark).value);
+  }
+
+  if (afterKey) {
+    // (a > ?) OR (a = ? AND b > ?) ... for each key prefix
+    const alternatives = orderColumns.map((col, i) => {
+      const parts = orderColumns.slice(0, i).map((prev, j) => {
+        params.push(afterKey[j]);
+        return `${prev} = ?`;
+      });
+      params.push(afterKey[i]);
+      return `(${[...parts, `${col} > ?`].join(" AND ")})`;
+    });
+    conditions.push(`(${alternatives.join(" OR ")})`);
+  }
+
+  const top = limitStyle === "top" ? `TOP ${pageSize} ` : "";
+  let sql = `SELECT ${top}${columns} FROM ${from}`;
+  if (conditions.length > 0) {
+    sql += ` WHERE ${conditions.join(" AND ")}`;
+  }
+  sql += ` ORDER BY ${orderColumns.join(", ")}`;
+
+  if (limitStyle === "limit") {
+    sql += ` LIMIT ${pageSize}`;
+  } else if (limitStyle === "fetch") {
+    sql += ` FETCH FIRST ${pageSize} ROWS ONLY`;
+  }
+
+  return { sql, params };
+}
+
+module.exports = {
+  loadTableConfigs,
+  getTableConfigs,
+  getTableConfig,
+  buildSourceQuery,
+  buildPageQuery,
+  buildKeyTypeQuery,
+  getKeyCollation,
+};
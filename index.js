@@ -1,13 +1,13 @@
 // app.js - Optimized version
 require("dotenv").config();
-const cron = require("node-cron");
 const express = require("express");
 const helmet = require("helmet");
 const compression = require("compression");
 const logger = require("./config/logger");
-const { connectWebDB, closeConnections } = require("./services/database");
-const { syncProcess } = require("./services/sync");
-const { purgeOldSnapshots } = require("./services/snapshot");
+const { connectToDatabase, closeConnections } = require("./services/database");
+const { reconcile } = require("./services/sync");
+const snapshotManager = require("./services/snapshot");
+const scheduler = require("./services/scheduler");
 const apiRoutes = require("./routes/api");
 
 // Initialize the app
@@ -23,46 +23,36 @@ app.use(express.urlencoded({ extended: false, limit: "1mb" }));
 // Apply routes
 app.use("/", apiRoutes);
 
-// Track whether sync is running to avoid overlaps
-let isSyncRunning = false;
-
 // Initialize database connections
-connectWebDB()
+connectToDatabase("web")
   .then(() => {
     logger.info("Started database connections");
 
-    // Schedule the sync process with protection against overlapping executions
-    const syncIntervalSeconds = process.env.SYNC_INTERVAL || 10;
-    logger.info(
-      `Scheduling sync process to run every ${syncIntervalSeconds} seconds`
-    );
+    // Each table syncs on its own schedule (SYNC_INTERVAL seconds by default)
+    scheduler.registerSyncJobs();
 
-    const syncJob = cron.schedule(
-      `*/${syncIntervalSeconds} * * * * *`,
-      async () => {
-        if (isSyncRunning) {
-          logger.warn("Previous sync still running, skipping this run");
-          return;
-        }
+    // Purge snapshot archives under the retention policy, daily by default
+    scheduler.registerJob({
+      id: "snapshot-cleanup",
+      type: "cleanup",
+      schedule: { cron: process.env.SNAPSHOT_CLEANUP_SCHEDULE || "0 0 * * *" },
+      run: () => snapshotManager.purgeOldSnapshots(),
+    });
 
-        isSyncRunning = true;
-        try {
-          await syncProcess();
-        } catch (err) {
-          logger.error(`Unhandled error in sync process: ${err.message}`);
-        } finally {
-          isSyncRunning = false;
-        }
-      }
-    );
+    // Optionally reconcile the target against the sources on a schedule,
+    // e.g. RECONCILE_SCHEDULE="0 3 * * *", repairing where tables allow it
+    // when RECONCILE_REPAIR=true
+    if (process.env.RECONCILE_SCHEDULE) {
+      scheduler.registerJob({
+        id: "reconcile",
+        type: "reconcile",
+        schedule: { cron: process.env.RECONCILE_SCHEDULE },
+        run: () =>
+          reconcile({ repair: process.env.RECONCILE_REPAIR === "true" }),
+      });
+    }
 
-    // Schedule snapshot cleanup once per day
-    const cleanupJob = cron.schedule("0 0 * * *", () => {
-      const snapshotRetentionDays = parseInt(
-        process.env.SNAPSHOT_RETENTION_DAYS || "30"
-      );
-      purgeOldSnapshots(snapshotRetentionDays);
-    });
+    scheduler.start();
 
     // Start the server
     app.listen(PORT, () => {
@@ -71,8 +61,8 @@ connectWebDB()
     });
 
     // Graceful shutdown
-    process.on("SIGTERM", () => shutdown(syncJob, cleanupJob));
-    process.on("SIGINT", () => shutdown(syncJob, cleanupJob));
+    process.on("SIGTERM", shutdown);
+    process.on("SIGINT", shutdown);
   })
   .catch((err) => {
     logger.error(`Failed to start service: ${err.message}`);
@@ -80,16 +70,10 @@ connectWebDB()
   });
 
 // Shutdown function
-function shutdown(syncJob, cleanupJob) {
+function shutdown() {
   logger.info("Shutting down sync service...");
 
-  if (syncJob) {
-    syncJob.stop();
-  }
-
-  if (cleanupJob) {
-    cleanupJob.stop();
-  }
+  scheduler.stop();
 
   closeConnections()
     .then(() => {
@@ -1,13 +1,84 @@
 const express = require("express");
 const router = express.Router();
 const logger = require("../config/logger");
-const { syncProcess, getSyncStats } = require("../services/sync");
+const snapshotManager = require("../services/snapshot");
+const deadLetterQueue = require("../services/deadletter");
+const scheduler = require("../services/scheduler");
+const { getPoolStats, getCircuitStates } = require("../services/database");
+const {
+  syncAllSources,
+  getSyncStats,
+  isSyncRunning,
+  retryDeadLetters,
+  reconcile,
+  getReconciliationResults,
+  getPendingChangesets,
+  approveChangeset,
+  rejectChangeset,
+} = require("../services/sync");
+const { getDatabaseConfigs } = require("../config/databases");
+
+// Respond to a failed snapshot request, using 404 for unknown snapshots
+function sendSnapshotError(res, err) {
+  const status = err.code === "SNAPSHOT_NOT_FOUND" ? 404 : 500;
+  res.status(status).json({ status: "error", message: err.message });
+}
+
+// Respond to a failed dead letter request, using 404 for unknown dead letters
+function sendDeadLetterError(res, err) {
+  const status = err.code === "DEAD_LETTER_NOT_FOUND" ? 404 : 500;
+  res.status(status).json({ status: "error", message: err.message });
+}
+
+// Pending changesets are only held in memory, which callers need to know
+// before relying on an id across a restart
+const CHANGESET_NOTE =
+  "Changesets are kept in memory and dropped when the service restarts; the next sync holds the changes again under a new id";
+
+// Respond to a failed changeset request, using 404 for unknown changesets
+// and 409 while their source is syncing
+function sendChangesetError(res, err) {
+  const statuses = { CHANGESET_NOT_FOUND: 404, SYNC_RUNNING: 409 };
+  const status = statuses[err.code] || 500;
+  res.status(status).json({
+    status: "error",
+    message: err.message,
+    ...(status === 404 && { note: CHANGESET_NOTE }),
+  });
+}
+
+// Respond to a failed job request, using 404 for unknown jobs
+function sendJobError(res, err) {
+  const status = err.code === "JOB_NOT_FOUND" ? 404 : 500;
+  res.status(status).json({ status: "error", message: err.message });
+}
+
+// Refuse dead letter retries while a sync could write the same rows
+function rejectWhileSyncing(res) {
+  const running = getDatabaseConfigs().find((db) => isSyncRunning(db.name));
+  if (!running) {
+    return false;
+  }
+
+  res.status(409).json({
+    status: "error",
+    message: `A sync from ${running.name} is running, try again when it finishes`,
+  });
+  return true;
+}
 
 // Basic health check endpoint
+// Reports "degraded" while any database connection circuit isn't closed
 router.get("/health", (req, res) => {
+  const circuits = getCircuitStates();
+  const degraded = Object.values(circuits).some(
+    (circuit) => circuit.state !== "closed"
+  );
+
   res.json({
-    status: "running",
+    status: degraded ? "degraded" : "running",
     uptime: process.uptime(),
+    circuits,
     syncStats: getSyncStats(),
   });
 });
@@ -18,6 +89,7 @@ router.get("/stats", (req, res) => {
 
   res.json({
     syncStats,
+    pools: getPoolStats(),
     lastSync: {
       time: syncStats.lastSyncTime,
       status:
@@ -34,16 +106,346 @@ router.get("/stats", (req, res) => {
   });
 });
 
-// Manual sync trigger endpoint
+// Manual sync trigger endpoint, ?dryRun=true to only report what each
+// source would change (with up to ?sample= rows and statements per table)
 router.post("/sync", async (req, res) => {
-  logger.info("Manual sync triggered via API");
+  const dryRun = req.query.dryRun === "true";
+  logger.info(`Manual sync${dryRun ? " dry run" : ""} triggered via API`);
 
   try {
-    await syncProcess();
-    res.json({ status: "success", message: "Sync completed" });
+    const results = await syncAllSources("web", {
+      dryRun,
+      sampleSize: parseInt(req.query.sample || "5", 10),
+    });
+    // Syncs held for approval didn't fail, but didn't apply their changes
+    const failed = Object.values(results).some(
+      (result) => !result.success && result.status !== "needs_approval"
+    );
+    const held = Object.values(results).some(
+      (result) => result.status === "needs_approval"
+    );
+
+    res.status(failed ? 500 : held ? 202 : 200).json({
+      status: failed ? "error" : held ? "needs_approval" : "success",
+      dryRun,
+      results,
+    });
   } catch (err) {
     res.status(500).json({ status: "error", message: err.message });
   }
 });
 
+// List snapshots and archives for all databases
+router.get("/snapshots", async (req, res) => {
+  try {
+    res.json({ databases: await snapshotManager.listSnapshots() });
+  } catch (err) {
+    sendSnapshotError(res, err);
+  }
+});
+
+// Purge snapshot archives under the retention policy, ?dryRun=true to only
+// report what would be deleted
+router.post("/snapshots/purge", async (req, res) => {
+  const dryRun = req.query.dryRun === "true";
+  logger.info(`Snapshot purge${dryRun ? " dry run" : ""} triggered via API`);
+
+  try {
+    res.json(await snapshotManager.purgeOldSnapshots({ dryRun }));
+  } catch (err) {
+    sendSnapshotError(res, err);
+  }
+});
+
+// List snapshots and archives for one database
+router.get("/snapshots/:db", async (req, res) => {
+  try {
+    const snapshots = await snapshotManager.listSnapshots(req.params.db);
+    if (!snapshots) {
+      return res.status(404).json({
+        status: "error",
+        message: `No snapshots found for ${req.params.db}`,
+      });
+    }
+    res.json(snapshots);
+  } catch (err) {
+    sendSnapshotError(res, err);
+  }
+});
+
+// Diff two snapshots of a database, e.g. ?from=backup&to=current
+router.get("/snapshots/:db/diff", async (req, res) => {
+  const { from, to, table } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      status: "error",
+      message: "Both 'from' and 'to' snapshot ids are required",
+    });
+  }
+
+  try {
+    const tables = await snapshotManager.diffSnapshots(
+      req.params.db,
+      from,
+      to,
+      {
+        table,
+        sampleSize: parseInt(req.query.sample || "10", 10),
+      }
+    );
+    res.json({ from, to, tables });
+  } catch (err) {
+    sendSnapshotError(res, err);
+  }
+});
+
+// Show the rows of one table in a snapshot, paged with ?limit=&offset=
+router.get("/snapshots/:db/:id/tables/:table", async (req, res) => {
+  const { db, id, table } = req.params;
+  const limit = parseInt(req.query.limit || "100", 10);
+  const offset = parseInt(req.query.offset || "0", 10);
+
+  try {
+    const snapshot = await snapshotManager.readSnapshotById(db, id);
+    const data = table.startsWith("_") ? undefined : snapshot[table];
+
+    if (!data) {
+      return res.status(404).json({
+        status: "error",
+        message: `Table ${table} not found in snapshot '${id}'`,
+      });
+    }
+
+    // Compact snapshots hold a hash per key instead of rows
+    const rows = Array.isArray(data)
+      ? data
+      : Object.entries(data).map(([key, hash]) => ({ key, hash }));
+
+    res.json({
+      table,
+      format: snapshotManager.getSnapshotFormat(snapshot),
+      total: rows.length,
+      offset,
+      rows: rows.slice(offset, offset + limit),
+    });
+  } catch (err) {
+    sendSnapshotError(res, err);
+  }
+});
+
+// Promote an archived snapshot back to the current snapshot
+router.post("/snapshots/:db/:id/restore", async (req, res) => {
+  const { db, id } = req.params;
+
+  if (isSyncRunning(db)) {
+    return res.status(409).json({
+      status: "error",
+      message: `A sync from ${db} is running, try again when it finishes`,
+    });
+  }
+
+  logger.info(`Restore of snapshot '${id}' for ${db} triggered via API`);
+
+  try {
+    const current = await snapshotManager.restoreSnapshot(db, id);
+    res.json({
+      status: "success",
+      message: `Snapshot '${id}' restored for ${db}`,
+      current,
+    });
+  } catch (err) {
+    sendSnapshotError(res, err);
+  }
+});
+
+// List rows that failed to apply, filtered with ?source=&table= and paged
+// with ?limit=&offset=
+router.get("/dead-letters", async (req, res) => {
+  try {
+    res.json(
+      await deadLetterQueue.listDeadLetters({
+        source: req.query.source,
+        table: req.query.table,
+        limit: parseInt(req.query.limit || "100", 10),
+        offset: parseInt(req.query.offset || "0", 10),
+      })
+    );
+  } catch (err) {
+    sendDeadLetterError(res, err);
+  }
+});
+
+// Retry every dead letter matching ?source=&table=
+router.post("/dead-letters/retry", async (req, res) => {
+  if (rejectWhileSyncing(res)) return;
+  logger.info("Retry of dead letters triggered via API");
+
+  try {
+    const { deadLetters } = await deadLetterQueue.listDeadLetters({
+      source: req.query.source,
+      table: req.query.table,
+    });
+    const results = await retryDeadLetters(
+      deadLetters.map((letter) => letter.id)
+    );
+    res.json({ status: "success", results });
+  } catch (err) {
+    sendDeadLetterError(res, err);
+  }
+});
+
+// Show one dead letter
+router.get("/dead-letters/:id", async (req, res) => {
+  try {
+    const [deadLetter] = await deadLetterQueue.getDeadLetters([req.params.id]);
+    res.json(deadLetter);
+  } catch (err) {
+    sendDeadLetterError(res, err);
+  }
+});
+
+// Apply one dead letter to the target again
+router.post("/dead-letters/:id/retry", async (req, res) => {
+  if (rejectWhileSyncing(res)) return;
+  logger.info(`Retry of dead letter ${req.params.id} triggered via API`);
+
+  try {
+    const [result] = await retryDeadLetters([req.params.id]);
+    res.status(result.success ? 200 : 422).json({
+      status: result.success ? "success" : "error",
+      ...result,
+    });
+  } catch (err) {
+    sendDeadLetterError(res, err);
+  }
+});
+
+// Discard a dead letter without applying it
+router.delete("/dead-letters/:id", async (req, res) => {
+  logger.info(`Dead letter ${req.params.id} discarded via API`);
+
+  try {
+    if (!(await deadLetterQueue.removeDeadLetter(req.params.id))) {
+      return res.status(404).json({
+        status: "error",
+        message: `Dead letter not found: ${req.params.id}`,
+      });
+    }
+    res.json({
+      status: "success",
+      message: `Dead letter ${req.params.id} discarded`,
+    });
+  } catch (err) {
+    sendDeadLetterError(res, err);
+  }
+});
+
+// List changesets held for approval because they exceeded a table's
+// change limits
+router.get("/changesets", (req, res) => {
+  res.json({ changesets: getPendingChangesets(), note: CHANGESET_NOTE });
+});
+
+// Approve a held changeset, syncing its source right away
+router.post("/changesets/:id/approve", async (req, res) => {
+  logger.info(`Approval of changeset ${req.params.id} triggered via API`);
+
+  try {
+    const result = await approveChangeset(req.params.id);
+    const status = result.success
+      ? 200
+      : result.status === "needs_approval"
+      ? 409
+      : 500;
+    res
+      .status(status)
+      .json(status === 409 ? { ...result, note: CHANGESET_NOTE } : result);
+  } catch (err) {
+    sendChangesetError(res, err);
+  }
+});
+
+// Reject a held changeset without applying it
+router.post("/changesets/:id/reject", (req, res) => {
+  logger.info(`Rejection of changeset ${req.params.id} triggered via API`);
+
+  try {
+    const changeset = rejectChangeset(req.params.id);
+    res.json({
+      status: "success",
+      message: `Changeset ${changeset.id} from ${changeset.source} rejected`,
+      changeset,
+    });
+  } catch (err) {
+    sendChangesetError(res, err);
+  }
+});
+
+// Compare the target with the sources, narrowed with ?source=&table=
+// (comma-separated); ?repair=true also fixes mismatches in tables whose
+// reconcile config allows it, keeping up to ?sample= rows per mismatch kind
+router.post("/reconcile", async (req, res) => {
+  const repair = req.query.repair === "true";
+  logger.info(
+    `Reconciliation${repair ? " with repair" : ""} triggered via API`
+  );
+
+  try {
+    const results = await reconcile({
+      source: req.query.source,
+      tables: req.query.table ? req.query.table.split(",") : undefined,
+      repair,
+      sampleSize: parseInt(req.query.sample || "10", 10),
+    });
+    const failed = results.some((result) => result.error);
+
+    res.status(failed ? 500 : 200).json({
+      status: failed ? "error" : "success",
+      repair,
+      results,
+    });
+  } catch (err) {
+    const status = err.code === "SYNC_RUNNING" ? 409 : 500;
+    res.status(status).json({ status: "error", message: err.message });
+  }
+});
+
+// Latest reconciliation result of every table
+router.get("/reconcile", (req, res) => {
+  res.json({ results: getReconciliationResults() });
+});
+
+// List scheduled jobs with their next run times and last results
+router.get("/jobs", (req, res) => {
+  res.json({ jobs: scheduler.listJobs() });
+});
+
+// Show one scheduled job
+router.get("/jobs/:id", (req, res) => {
+  try {
+    res.json(scheduler.getJob(req.params.id));
+  } catch (err) {
+    sendJobError(res, err);
+  }
+});
+
+// Stop a job from running on schedule until it is resumed
+router.post("/jobs/:id/pause", (req, res) => {
+  try {
+    res.json({ status: "success", job: scheduler.pauseJob(req.params.id) });
+  } catch (err) {
+    sendJobError(res, err);
+  }
+});
+
+// Put a paused job back on its schedule
+router.post("/jobs/:id/resume", (req, res) => {
+  try {
+    res.json({ status: "success", job: scheduler.resumeJob(req.params.id) });
+  } catch (err) {
+    sendJobError(res, err);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,137 @@
+const logger = require("../config/logger");
+
+// Guards connection attempts to one database. After repeated failures the
+// circuit opens and attempts are refused until a backoff delay has passed,
+// then a single trial attempt (half-open) decides whether it closes again
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.baseDelayMillis = options.baseDelayMillis || 5000;
+    this.maxDelayMillis = options.maxDelayMillis || 5 * 60 * 1000;
+
+    this.state = "closed";
+    this.failures = 0; // Consecutive failures
+    this.openings = 0; // Consecutive times opened without recovering
+    this.nextAttemptAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  // Backoff before the next trial: doubles with each opening, capped,
+  // with random jitter so several instances don't retry in lockstep
+  getDelay() {
+    const delay = Math.min(
+      this.maxDelayMillis,
+      this.baseDelayMillis * 2 ** (this.openings - 1)
+    );
+    return Math.round(delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  // Check whether attempts are currently refused, without starting a trial
+  isOpen(now = Date.now()) {
+    if (this.state === "open") {
+      return now < this.nextAttemptAt;
+    }
+    return this.state === "half-open" && this.trialInFlight;
+  }
+
+  // Build the error thrown for a refused attempt
+  createOpenError() {
+    const retryAt = new Date(this.nextAttemptAt).toISOString();
+    const error = new Error(
+      this.state === "half-open"
+        ? `${this.name} is unavailable, a reconnect attempt is in progress`
+        : `${this.name} is unavailable, circuit open until ${retryAt} (last error: ${this.lastError})`
+    );
+    error.code = "CIRCUIT_OPEN";
+    error.retryAt = retryAt;
+    return error;
+  }
+
+  // Claim an attempt, moving to half-open once the backoff has passed
+  // Throws a CIRCUIT_OPEN error if attempts are refused
+  beforeAttempt() {
+    if (this.isOpen()) {
+      throw this.createOpenError();
+    }
+
+    if (this.state === "open") {
+      this.state = "half-open";
+      logger.info(`${this.name} circuit half-open, trying to reconnect`);
+    }
+    if (this.state === "half-open") {
+      this.trialInFlight = true;
+    }
+  }
+
+  // Record a successful attempt, closing the circuit
+  recordSuccess() {
+    if (this.state !== "closed") {
+      logger.info(`${this.name} circuit closed, connection recovered`);
+    }
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openings = 0;
+    this.nextAttemptAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Record a failed attempt, opening the circuit at the failure threshold
+  // or when a half-open trial fails
+  recordFailure(err) {
+    this.failures++;
+    this.lastError = err.message;
+    this.lastFailureAt = new Date();
+    this.trialInFlight = false;
+
+    if (this.state === "closed" && this.failures < this.failureThreshold) {
+      logger.warn(
+        `${this.name} connection failed (${this.failures}/${this.failureThreshold}): ${err.message}`
+      );
+      return;
+    }
+
+    this.openings++;
+    const delay = this.getDelay();
+    this.nextAttemptAt = Date.now() + delay;
+
+    logger.warn(
+      this.state === "closed"
+        ? `${this.name} circuit opened after ${this.failures} failures, retrying in ${delay}ms: ${err.message}`
+        : `${this.name} still unavailable, retrying in ${delay}ms: ${err.message}`
+    );
+    this.state = "open";
+  }
+
+  // Run a connection attempt through the breaker
+  async run(attempt) {
+    this.beforeAttempt();
+
+    try {
+      const result = await attempt();
+      this.recordSuccess();
+      return result;
+    } catch (err) {
+      this.recordFailure(err);
+      throw err;
+    }
+  }
+
+  // Report the circuit state
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt) : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+};
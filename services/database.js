@@ -1,111 +1,117 @@
 const { Pool } = require("pg");
 const odbc = require("odbc");
 const logger = require("../config/logger");
+const {
+  getDatabaseConfig,
+  getDatabaseConfigs,
+} = require("../config/databases");
+const { OdbcPool } = require("./pool");
+const { encodeWatermark } = require("../utils/watermark");
+const { CircuitBreaker } = require("./breaker");
+const {
+  getTableConfigs,
+  buildSourceQuery,
+  buildPageQuery,
+  buildKeyTypeQuery,
+  getKeyCollation,
+} = require("../config/tables");
 
-// Store database connections with their respective configurations
-const dbConnections = {
-  web: {
-    pool: null,
-    connected: false,
-    config: {
-      type: "postgres",
-      params: {
-        host: process.env.WEB_DB_HOST,
-        port: process.env.WEB_DB_PORT,
-        user: process.env.WEB_DB_USER,
-        password: process.env.WEB_DB_PASS,
-        database: process.env.WEB_DB_NAME,
-        max: 20,
-        idleTimeoutMillis: 30000,
-        connectionTimeoutMillis: 5000,
-      },
-    },
-  },
-  remote: {
-    pool: [],
-    connected: false,
-    config: {
-      type: "odbc",
-      params: {
-        connectionString: () => {
-          return (
-            `DSN=${process.env.REMOTE_DSN};` +
-            `UID=${process.env.REMOTE_DB_USER};` +
-            `PWD=${process.env.REMOTE_DB_PASS};` +
-            `DatabaseName=${process.env.REMOTE_DB_NAME};` +
-            `Server=${process.env.REMOTE_DB_SERVER};` +
-            `Port=${process.env.REMOTE_DB_PORT || 1433};`
-          );
-        },
-        maxPoolSize: 5,
-      },
-    },
-  },
-  // You can add more databases here in the future
-  // example: {
-  //   pool: null,
-  //   connected: false,
-  //   config: { ... }
-  // }
-};
+// ODBC SQL types of character columns: CHAR, VARCHAR, LONGVARCHAR and their
+// Unicode variants
+const TEXT_SQL_TYPES = [1, 12, -1, -8, -9, -10];
+
+// Connection state per configured database, created on first use
+const dbConnections = {};
+
+// Circuit breaker per database, kept when connections are closed
+const circuitBreakers = {};
+
+/**
+ * Get the connection state of a configured database
+ * @param {string} dbKey - The key of the database
+ * @returns {Object} - Pool, connection status and configuration
+ */
+function getConnectionState(dbKey) {
+  if (!dbConnections[dbKey]) {
+    const config = getDatabaseConfig(dbKey);
+    dbConnections[dbKey] = {
+      pool:
+        config.type === "odbc"
+          ? new OdbcPool(dbKey, () => connectToDatabase(dbKey), config.pool)
+          : null,
+      connected: false,
+      config,
+    };
+  }
+  return dbConnections[dbKey];
+}
+
+/**
+ * Build an ODBC connection string from connection parameters
+ * @param {Object} params - Either { connectionString } or connection attributes
+ * @returns {string} - Connection string
+ */
+function buildConnectionString(params) {
+  if (params.connectionString) {
+    return params.connectionString;
+  }
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${value};`)
+    .join("");
+}
+
+/**
+ * Get the circuit breaker guarding connections to a database
+ * @param {string} dbKey - The key of the database
+ * @returns {CircuitBreaker} - The database's circuit breaker
+ */
+function getCircuitBreaker(dbKey) {
+  if (!circuitBreakers[dbKey]) {
+    circuitBreakers[dbKey] = new CircuitBreaker(
+      dbKey,
+      getDatabaseConfig(dbKey).circuit
+    );
+  }
+  return circuitBreakers[dbKey];
+}
 
 /**
  * Connect to a database based on its key
+ * Attempts are refused with a CIRCUIT_OPEN error while the database's
+ * circuit is open
  * @param {string} dbKey - The key of the database to connect to
  * @returns {Promise<Object>} - The database connection
  */
 async function connectToDatabase(dbKey) {
-  const db = dbConnections[dbKey];
-
-  if (!db) {
-    throw new Error(`Database configuration for '${dbKey}' not found`);
-  }
+  const db = getConnectionState(dbKey);
+  const breaker = getCircuitBreaker(dbKey);
 
   if (db.config.type === "postgres") {
-    if (!db.pool) {
-      try {
-        db.pool = new Pool(db.config.params);
+    if (!db.connected) {
+      await breaker.run(async () => {
+        db.pool =
+          db.pool || new Pool({ ...db.config.params, ...db.config.pool });
         await db.pool.query("SELECT NOW()");
         db.connected = true;
         logger.info(`${dbKey} database connected successfully`);
-      } catch (error) {
-        logger.error(
-          `Failed to initialize ${dbKey} database pool: ${error.message}`
-        );
-        db.connected = false;
-        throw error;
-      }
+      });
     }
     return db.pool;
   } else if (db.config.type === "odbc") {
-    try {
-      const connectionString = db.config.params.connectionString();
-      logger.info(`Attempting connection to ${dbKey} DB: ${connectionString}`);
-
-      // Implement retry logic for remote connections
-      let retries = 3;
-      let connection;
-
-      while (retries > 0) {
-        try {
-          connection = await odbc.connect(connectionString);
-          break;
-        } catch (err) {
-          retries--;
-          if (retries === 0) throw err;
-          logger.warn(
-            `Connection attempt failed, retrying... (${retries} attempts left)`
-          );
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-        }
-      }
+    return breaker.run(async () => {
+      const connectionString = buildConnectionString(db.config.params);
+      logger.info(
+        `Attempting connection to ${dbKey} DB: ${connectionString.replace(
+          /PWD=[^;]*/i,
+          "PWD=***"
+        )}`
+      );
 
+      const connection = await odbc.connect(connectionString);
+      db.connected = true;
       logger.info(`${dbKey} database connected successfully`);
       return connection;
-    } catch (err) {
-      logger.error(`ODBC Connection Error for ${dbKey}: ${err.message}`);
-      throw err;
-    }
+    });
   } else {
     throw new Error(`Unsupported database type: ${db.config.type}`);
   }
@@ -117,22 +123,55 @@ async function connectToDatabase(dbKey) {
  * @returns {Promise<Object>} - The database connection
  */
 async function getDBConnection(dbKey) {
-  if (dbKey === "web") {
-    if (!dbConnections.web.connected) {
-      await connectToDatabase("web");
-    }
-    return dbConnections.web.pool;
+  const db = getConnectionState(dbKey);
+  const breaker = getCircuitBreaker(dbKey);
+
+  // Fail fast while the database is known to be unreachable
+  if (breaker.isOpen()) {
+    throw breaker.createOpenError();
   }
-  // For ODBC connections, create a new connection or get one from the pool
-  else if (dbConnections[dbKey]?.config.type === "odbc") {
-    const pool = dbConnections[dbKey].pool;
-    if (pool.length > 0) {
-      return pool.pop();
+
+  if (db.config.type === "postgres") {
+    if (!db.connected) {
+      await connectToDatabase(dbKey);
     }
-    return connectToDatabase(dbKey);
+    return db.pool;
   }
 
-  throw new Error(`Unknown database key: ${dbKey}`);
+  // ODBC connections are validated by the pool before they are handed out
+  return db.pool.acquire();
+}
+
+/**
+ * Check out a client from a Postgres pool, e.g. to run a transaction
+ * Failures count towards the database's circuit breaker
+ * @param {string} dbKey - The key of the database
+ * @returns {Promise<Object>} - Pool client, to be released by the caller
+ */
+async function connectClient(dbKey) {
+  const pool = await getDBConnection(dbKey);
+  return getCircuitBreaker(dbKey).run(() => pool.connect());
+}
+
+/**
+ * Check whether connections to a database are currently refused
+ * @param {string} dbKey - The key of the database
+ * @returns {boolean} - True while the database's circuit is open
+ */
+function isCircuitOpen(dbKey) {
+  return getCircuitBreaker(dbKey).isOpen();
+}
+
+/**
+ * Report the circuit state of every configured database
+ * @returns {Object} - Circuit state keyed by database
+ */
+function getCircuitStates() {
+  const states = {};
+  for (const db of getDatabaseConfigs()) {
+    states[db.name] = getCircuitBreaker(db.name).getState();
+  }
+  return states;
 }
 
 /**
@@ -151,55 +190,265 @@ function releaseConnection(dbKey, connection) {
   }
 
   if (db.config.type === "odbc") {
-    if (db.pool.length < db.config.params.maxPoolSize) {
-      db.pool.push(connection);
-    } else {
-      connection.close().catch((err) => {
-        logger.warn(
-          `Error closing ${dbKey} database connection: ${err.message}`
-        );
-      });
-    }
+    db.pool.release(connection);
   }
   // PostgreSQL pool manages its own connections
 }
 
+/**
+ * Read a query result through an ODBC cursor, fetchSize rows at a time,
+ * instead of having the driver buffer the whole result at once
+ * @param {Object} connection - Open ODBC connection
+ * @param {string} sql - Query to run
+ * @param {Array} [params] - Query parameters
+ * @param {number} fetchSize - Rows per cursor fetch
+ * @yields {Array<Object>} - Batches of rows, the first carrying the column
+ *   metadata even when the result is empty
+ */
+async function* readCursor(connection, sql, params, fetchSize) {
+  const cursor = await connection.query(
+    sql,
+    params && params.length > 0 ? params : null,
+    { cursor: true, fetchSize }
+  );
+  let first = true;
+
+  try {
+    while (!cursor.noData) {
+      const batch = await cursor.fetch();
+      if (batch.length > 0 || first) {
+        yield batch;
+      }
+      first = false;
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+/**
+ * Find which key columns of a table hold text, from the column types the
+ * driver reports for an empty result
+ * @param {Object} connection - Open ODBC connection
+ * @param {Object} table - Table configuration
+ * @returns {Promise<Array<string>>} - Text key columns
+ */
+async function getTextKeys(connection, table) {
+  const result = await connection.query(buildKeyTypeQuery(table));
+  const textColumns = (result.columns || [])
+    .filter((column) => TEXT_SQL_TYPES.includes(column.dataType))
+    .map((column) => column.name.toLowerCase());
+
+  const keyColumns = Array.isArray(table.primaryKey)
+    ? table.primaryKey
+    : [table.primaryKey];
+  return keyColumns.filter((col) => textColumns.includes(col.toLowerCase()));
+}
+
+/**
+ * Read a table page by page in primary key order on an open connection
+ * Each page continues after the key of the last row of the previous one.
+ * Text keys are ordered by the table's key collation, if it has one
+ * @param {Object} connection - Open ODBC connection
+ * @param {Object} table - Table configuration
+ * @param {Object} options - Paging options
+ * @param {number} options.pageSize - Maximum rows per page
+ * @param {string} [options.limitStyle] - How the source limits rows: "top", "limit" or "fetch"
+ * @param {*} [options.watermark] - Only read rows at or past this incremental watermark
+ * @yields {Array<Object>} - Pages of rows
+ */
+async function* readPages(connection, table, options) {
+  const { pageSize, limitStyle, watermark } = options;
+  const keyColumns = Array.isArray(table.primaryKey)
+    ? table.primaryKey
+    : [table.primaryKey];
+  const textKeys = getKeyCollation(table, limitStyle)
+    ? await getTextKeys(connection, table)
+    : [];
+  let afterKey = null;
+
+  for (;;) {
+    const { sql, params } = buildPageQuery(
+      table,
+      afterKey,
+      pageSize,
+      limitStyle,
+      watermark,
+      textKeys
+    );
+    const rows = await connection.query(sql, params);
+
+    if (rows.length > 0) {
+      yield rows;
+    }
+    if (rows.length < pageSize) break;
+
+    const lastRow = rows[rows.length - 1];
+    afterKey = keyColumns.map((col) => lastRow[col]);
+  }
+}
+
+/**
+ * Run one query on an open connection, yielding its result a page at a time
+ * so a caller that handles rows as they arrive never holds all of them
+ * @param {Object} connection - Open database connection
+ * @param {string|Object} query - SQL string, { sql, params, fetchSize } for a
+ *   plain or cursor read, or { table, pageSize, limitStyle, watermark } for a
+ *   keyset-paged read
+ * @yields {Array<Object>} - Pages of rows: the whole result for a plain read,
+ *   cursor batches or keyset pages otherwise
+ */
+async function* queryPages(connection, query) {
+  if (typeof query === "string") {
+    yield await connection.query(query);
+  } else if (query.table) {
+    yield* readPages(connection, query.table, query);
+  } else if (query.fetchSize) {
+    yield* readCursor(connection, query.sql, query.params, query.fetchSize);
+  } else {
+    yield await connection.query(query.sql, query.params);
+  }
+}
+
+/**
+ * Run one query on an open connection and collect its whole result
+ * Tables diffed in memory need every row at once, so paged and cursor reads
+ * only keep the driver from buffering the result; use queryPages to handle
+ * the rows page by page
+ * @param {Object} connection - Open database connection
+ * @param {string|Object} query - Query, as for queryPages
+ * @returns {Promise<Array<Object>>} - Rows of the result
+ */
+async function runQuery(connection, query) {
+  if (typeof query === "string") {
+    return connection.query(query);
+  }
+  if (!query.table && !query.fetchSize) {
+    return connection.query(query.sql, query.params);
+  }
+
+  const rows = [];
+  for await (const page of queryPages(connection, query)) {
+    // Keep the column metadata of the driver's result
+    if (!rows.columns) rows.columns = page.columns;
+    for (const row of page) rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Run named tasks against a database with its configured fetch concurrency
+ * With a concurrency of 1 the tasks run one after another on a single
+ * connection; otherwise each worker checks out its own pooled connection
+ * @param {string} dbKey - The key of the database
+ * @param {Object} tasks - Functions taking a connection, keyed by name
+ * @returns {Promise<Object>} - Task results keyed by name
+ */
+async function runOnConnections(dbKey, tasks) {
+  const names = Object.keys(tasks);
+  const concurrency = Math.min(
+    getDatabaseConfig(dbKey).fetchConcurrency,
+    names.length
+  );
+  const results = {};
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    const connection = await getDBConnection(dbKey);
+    try {
+      while (next < names.length && !failed) {
+        const name = names[next++];
+        results[name] = await tasks[name](connection);
+      }
+    } catch (err) {
+      // Stop the other workers from starting further tasks
+      failed = true;
+      throw err;
+    } finally {
+      if (dbConnections[dbKey]?.config.type === "odbc") {
+        releaseConnection(dbKey, connection);
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < concurrency; i++) {
+    workers.push(worker());
+  }
+
+  // Wait for every worker so no connection is still in use on failure
+  const outcomes = await Promise.allSettled(workers);
+  const rejected = outcomes.find((outcome) => outcome.status === "rejected");
+  if (rejected) {
+    throw rejected.reason;
+  }
+
+  return results;
+}
+
 /**
  * Fetch data from a remote ODBC database
+ * Queries run sequentially on one connection unless the database sets a
+ * fetchConcurrency, in which case they are spread over pooled connections
  * @param {string} dbKey - The key of the database to query
- * @param {Object} queries - Object containing query names and SQL strings
+ * @param {Object} queries - Query names mapped to SQL strings or query objects (see runQuery)
  * @returns {Promise<Object>} - Results of all queries
  */
 async function fetchData(dbKey, queries) {
-  let connection;
-  const results = {};
+  const tasks = {};
+  for (const [name, query] of Object.entries(queries)) {
+    tasks[name] = (connection) => runQuery(connection, query);
+  }
 
   try {
-    connection = await getDBConnection(dbKey);
+    const results = await runOnConnections(dbKey, tasks);
 
-    // Execute all queries in parallel for better performance
-    const queryPromises = [];
-    const queryNames = [];
+    const count = Object.keys(tasks).length;
+    logger.info(`Successfully executed ${count} queries on ${dbKey} database`);
 
-    for (const [name, query] of Object.entries(queries)) {
-      queryPromises.push(connection.query(query));
-      queryNames.push(name);
-    }
+    return results;
+  } catch (err) {
+    logger.error(`Error fetching data from ${dbKey}: ${err.message}`);
+    throw err;
+  }
+}
 
-    const queryResults = await Promise.all(queryPromises);
+/**
+ * Fetch a table page by page in primary key order
+ * Each page continues after the key of the last row of the previous one,
+ * so only one page is held in memory at a time
+ * @param {string} dbKey - The key of the source database
+ * @param {Object} table - Table configuration
+ * @param {number} pageSize - Maximum rows per page
+ * @param {string} [limitStyle] - How the source limits rows: "top", "limit" or "fetch"
+ * @param {*} [watermark] - Only fetch rows at or past this incremental watermark
+ * @yields {Array<Object>} - Pages of rows
+ */
+async function* fetchPages(dbKey, table, pageSize, limitStyle, watermark) {
+  let connection;
+  let pageCount = 0;
 
-    // Map results to their respective names
-    queryNames.forEach((name, index) => {
-      results[name] = queryResults[index];
-    });
+  try {
+    connection = await getDBConnection(dbKey);
+
+    for await (const page of queryPages(connection, {
+      table,
+      pageSize,
+      limitStyle,
+      watermark,
+    })) {
+      pageCount++;
+      yield page;
+    }
 
     logger.info(
-      `Successfully executed ${queryPromises.length} queries on ${dbKey} database`
+      `Fetched ${table.name} from ${dbKey} database in ${pageCount} pages`
     );
-
-    return results;
   } catch (err) {
-    logger.error(`Error fetching data from ${dbKey}: ${err.message}`);
+    logger.error(
+      `Error fetching ${table.name} pages from ${dbKey}: ${err.message}`
+    );
     throw err;
   } finally {
     if (connection && dbConnections[dbKey]?.config.type === "odbc") {
@@ -208,6 +457,31 @@ async function fetchData(dbKey, queries) {
   }
 }
 
+/**
+ * Report the size and usage of every open connection pool
+ * @returns {Object} - Pool stats keyed by database
+ */
+function getPoolStats() {
+  const stats = {};
+
+  for (const [key, db] of Object.entries(dbConnections)) {
+    if (db.config.type === "odbc") {
+      stats[key] = db.pool.getStats();
+    } else if (db.pool) {
+      stats[key] = {
+        type: "postgres",
+        size: db.pool.totalCount,
+        maxSize: db.config.pool.max,
+        idle: db.pool.idleCount,
+        inUse: db.pool.totalCount - db.pool.idleCount,
+        waiting: db.pool.waitingCount,
+      };
+    }
+  }
+
+  return stats;
+}
+
 /**
  * Close all database connections
  * @returns {Promise<boolean>} - True if all connections closed successfully
@@ -225,14 +499,10 @@ async function closeConnections() {
         })
       );
       db.connected = false;
-    } else if (db.config.type === "odbc" && db.pool.length > 0) {
-      const poolClosePromises = db.pool.map((conn) => {
-        return conn.close().catch((err) => {
-          logger.warn(`Error closing ${key} DB connection: ${err.message}`);
-        });
-      });
-      closePromises.push(...poolClosePromises);
-      db.pool = [];
+    } else if (db.config.type === "odbc") {
+      closePromises.push(db.pool.close());
+      // A new pool is created if the database is used again
+      delete dbConnections[key];
     }
   }
 
@@ -242,25 +512,63 @@ async function closeConnections() {
   return true;
 }
 
-// Example of how to fetch data from the remote database
-async function fetchRemoteData() {
-  const queries = {
-    rrc_clients: `
-      SELECT code, name, address, branch
-      FROM rrc_clients
-      WHERE branch IN ('RITS Wayanad', 'IMC', 'IMC Mukkam');
-    `,
-    acc_users: `SELECT * FROM acc_users`,
-  };
+/**
+ * Fetch every configured table from a source database
+ * @param {string} dbKey - The key of the source database
+ * @param {Array<Object>} tableConfigs - Tables to fetch, defaults to all tables of the source
+ * @param {Object} [watermarks] - Watermark per table name, only rows at or past it are fetched
+ * @returns {Promise<Object>} - Rows keyed by table name
+ */
+async function fetchSourceData(
+  dbKey,
+  tableConfigs = getTableConfigs(dbKey),
+  watermarks = {}
+) {
+  const queries = {};
+
+  for (const table of tableConfigs) {
+    const watermark = watermarks[table.name];
+    const { mode, pageSize, limitStyle, fetchSize } = table.fetch;
+
+    if (mode === "paged") {
+      queries[table.name] = { table, pageSize, limitStyle, watermark };
+    } else if (mode === "cursor") {
+      queries[table.name] = {
+        sql: buildSourceQuery(table, watermark),
+        params:
+          watermark === undefined ? [] : [encodeWatermark(watermark).value],
+        fetchSize,
+      };
+    } else {
+      queries[table.name] =
+        watermark === undefined
+          ? buildSourceQuery(table)
+          : {
+              sql: buildSourceQuery(table, watermark),
+              params: [encodeWatermark(watermark).value],
+            };
+    }
+  }
 
-  return fetchData("remote", queries);
+  return fetchData(dbKey, queries);
+}
+
+// Fetch all tables configured for the remote database
+async function fetchRemoteData() {
+  return fetchSourceData("remote");
 }
 
 module.exports = {
   connectToDatabase,
   getDBConnection,
+  connectClient,
+  isCircuitOpen,
+  getCircuitStates,
   releaseConnection,
   fetchData,
+  fetchPages,
+  fetchSourceData,
   fetchRemoteData,
   closeConnections,
+  getPoolStats,
 };
@@ -0,0 +1,207 @@
+const dbService = require("./database");
+const { createTableOnce } = require("../utils/sql");
+
+// Dead letters are kept in the sync target so they are recorded in the same
+// transaction as the changes that did apply
+const DEAD_LETTER_DB = "web";
+const DEAD_LETTER_TABLE = process.env.DEAD_LETTER_TABLE || "sync_dead_letters";
+
+// Created on first use
+const ensureTable = createTableOnce(
+  () => dbService.getDBConnection(DEAD_LETTER_DB),
+  DEAD_LETTER_TABLE,
+  `id BIGSERIAL PRIMARY KEY,
+  source_db TEXT NOT NULL,
+  table_name TEXT NOT NULL,
+  target_table TEXT NOT NULL,
+  operation TEXT NOT NULL,
+  row_key JSONB NOT NULL,
+  row_data JSONB NOT NULL,
+  columns JSONB,
+  error TEXT NOT NULL,
+  error_code TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (source_db, table_name, row_key)`,
+  "dead letter"
+);
+
+/**
+ * Get something to run queries with: the caller's transaction client if
+ * given, otherwise the pool of the dead letter database
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<Object>} Client or pool
+ */
+async function getExecutor(client) {
+  await ensureTable();
+  return client || dbService.getDBConnection(DEAD_LETTER_DB);
+}
+
+// Convert a dead letter table row to its API shape
+function toDeadLetter(row) {
+  return {
+    id: row.id,
+    source: row.source_db,
+    table: row.table_name,
+    targetTable: row.target_table,
+    operation: row.operation,
+    key: row.row_key,
+    row: row.row_data,
+    columns: row.columns,
+    error: row.error,
+    errorCode: row.error_code,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    lastFailedAt: row.last_failed_at,
+  };
+}
+
+// Build the error thrown when dead letters don't exist
+function notFoundError(ids) {
+  const error = new Error(`Dead letter not found: ${ids.join(", ")}`);
+  error.code = "DEAD_LETTER_NOT_FOUND";
+  return error;
+}
+
+/**
+ * Store rows that failed to apply. A row already dead-lettered for the same
+ * key is replaced by the newer change, with its attempt count increased
+ * @param {Object} client - Target client with the sync transaction
+ * @param {Array<Object>} letters - Failed rows as
+ *   { source, table, targetTable, operation, key, row, columns, error }
+ */
+async function recordDeadLetters(client, letters) {
+  const executor = await getExecutor(client);
+
+  for (const letter of letters) {
+    await executor.query(
+      `INSERT INTO ${DEAD_LETTER_TABLE} (source_db, table_name, target_table,
+          operation, row_key, row_data, columns, error, error_code)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (source_db, table_name, row_key) DO UPDATE SET
+          target_table = EXCLUDED.target_table,
+          operation = EXCLUDED.operation,
+          row_data = EXCLUDED.row_data,
+          columns = EXCLUDED.columns,
+          error = EXCLUDED.error,
+          error_code = EXCLUDED.error_code,
+          attempts = ${DEAD_LETTER_TABLE}.attempts + 1,
+          last_failed_at = NOW()`,
+      [
+        letter.source,
+        letter.table,
+        letter.targetTable,
+        letter.operation,
+        JSON.stringify(letter.key),
+        JSON.stringify(letter.row),
+        letter.columns ? JSON.stringify(letter.columns) : null,
+        letter.error.message,
+        letter.error.code || null,
+      ]
+    );
+  }
+}
+
+/**
+ * List dead letters, oldest first
+ * @param {Object} [filter] - Filter and paging
+ * @param {string} [filter.source] - Only rows from this source database
+ * @param {string} [filter.table] - Only rows of this table
+ * @param {number} [filter.limit] - Maximum rows to return, all if omitted
+ * @param {number} [filter.offset] - Rows to skip
+ * @returns {Promise<Object>} { total, deadLetters }
+ */
+async function listDeadLetters({ source, table, limit, offset = 0 } = {}) {
+  const executor = await getExecutor();
+  const where = `WHERE ($1::TEXT IS NULL OR source_db = $1)
+    AND ($2::TEXT IS NULL OR table_name = $2)`;
+  const params = [source || null, table || null];
+
+  const count = await executor.query(
+    `SELECT COUNT(*) AS total FROM ${DEAD_LETTER_TABLE} ${where}`,
+    params
+  );
+  const result = await executor.query(
+    `SELECT * FROM ${DEAD_LETTER_TABLE} ${where}
+      ORDER BY id
+      LIMIT $3 OFFSET $4`,
+    [...params, limit ?? null, offset]
+  );
+
+  return {
+    total: parseInt(count.rows[0].total, 10),
+    deadLetters: result.rows.map(toDeadLetter),
+  };
+}
+
+/**
+ * Get dead letters by id
+ * @param {Array<string>} ids - Dead letter ids
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<Array<Object>>} Dead letters in id order
+ */
+async function getDeadLetters(ids, client) {
+  const invalid = ids.filter((id) => !/^\d+$/.test(String(id)));
+  if (invalid.length > 0) {
+    throw notFoundError(invalid);
+  }
+
+  const executor = await getExecutor(client);
+  const result = await executor.query(
+    `SELECT * FROM ${DEAD_LETTER_TABLE} WHERE id = ANY($1::BIGINT[])
+      ORDER BY id`,
+    [ids]
+  );
+
+  const found = new Set(result.rows.map((row) => String(row.id)));
+  const missing = ids.filter((id) => !found.has(String(id)));
+  if (missing.length > 0) {
+    throw notFoundError(missing);
+  }
+  return result.rows.map(toDeadLetter);
+}
+
+/**
+ * Delete a dead letter, after it was retried or to discard it
+ * @param {string} id - Dead letter id
+ * @param {Object} [client] - Client with an open transaction
+ * @returns {Promise<boolean>} False if the dead letter doesn't exist
+ */
+async function removeDeadLetter(id, client) {
+  if (!/^\d+$/.test(String(id))) {
+    return false;
+  }
+
+  const executor = await getExecutor(client);
+  const result = await executor.query(
+    `DELETE FROM ${DEAD_LETTER_TABLE} WHERE id = $1`,
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record another failed attempt to apply a dead letter
+ * @param {string} id - Dead letter id
+ * @param {Error} err - Error of the failed attempt
+ * @param {Object} [client] - Client with an open transaction
+ */
+async function markRetryFailed(id, err, client) {
+  const executor = await getExecutor(client);
+  await executor.query(
+    `UPDATE ${DEAD_LETTER_TABLE}
+      SET error = $2, error_code = $3, attempts = attempts + 1,
+        last_failed_at = NOW()
+      WHERE id = $1`,
+    [id, err.message, err.code || null]
+  );
+}
+
+module.exports = {
+  recordDeadLetters,
+  listDeadLetters,
+  getDeadLetters,
+  removeDeadLetter,
+  markRetryFailed,
+};
@@ -0,0 +1,266 @@
+const logger = require("../config/logger");
+
+// Pool of ODBC connections that are checked before they are handed out,
+// closed when idle or too old, with callers queued while the pool is full
+class OdbcPool {
+  constructor(name, connect, options = {}) {
+    this.name = name;
+    this.connect = connect;
+    this.maxSize = options.maxPoolSize || 5;
+    this.idleTimeoutMillis = options.idleTimeoutMillis || 60000;
+    this.maxLifetimeMillis = options.maxLifetimeMillis || 30 * 60 * 1000;
+    this.maxWaiters = options.maxWaiters ?? 20;
+    this.acquireTimeoutMillis = options.acquireTimeoutMillis || 30000;
+    this.validationQuery =
+      options.validationQuery === undefined
+        ? "SELECT 1"
+        : options.validationQuery;
+
+    this.idle = []; // { connection, createdAt, lastUsedAt }, most recent last
+    this.inUse = new Map(); // connection -> entry
+    this.waiters = [];
+    this.creating = 0;
+    this.closed = false;
+    this.counters = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      validationFailures: 0,
+      timeouts: 0,
+      rejected: 0,
+    };
+
+    // Check for idle and expired connections in the background
+    this.evictionTimer = setInterval(
+      () => this.evictIdle(),
+      Math.min(this.idleTimeoutMillis, 30000)
+    );
+    this.evictionTimer.unref();
+  }
+
+  // Connections open or being opened
+  get size() {
+    return this.idle.length + this.inUse.size + this.creating;
+  }
+
+  // Check whether a connection has outlived its max lifetime
+  isExpired(entry, now = Date.now()) {
+    return now - entry.createdAt >= this.maxLifetimeMillis;
+  }
+
+  // Close a connection that is no longer tracked by the pool
+  destroyEntry(entry, reason) {
+    this.counters.destroyed++;
+    logger.debug(`Closing ${this.name} connection: ${reason}`);
+    entry.connection.close().catch((err) => {
+      logger.warn(`Error closing ${this.name} connection: ${err.message}`);
+    });
+  }
+
+  // Run the validation query, returning false if the connection is unusable
+  async validate(entry) {
+    if (!this.validationQuery) {
+      return true;
+    }
+
+    try {
+      await entry.connection.query(this.validationQuery);
+      return true;
+    } catch (err) {
+      this.counters.validationFailures++;
+      logger.warn(
+        `${this.name} connection failed validation, discarding it: ${err.message}`
+      );
+      return false;
+    }
+  }
+
+  // Take a valid idle connection or open a new one
+  // Returns null when the pool is at its maximum size
+  async tryAcquire() {
+    while (this.idle.length > 0) {
+      const entry = this.idle.pop();
+
+      if (this.isExpired(entry)) {
+        this.destroyEntry(entry, "max lifetime reached");
+        continue;
+      }
+
+      // Counted as in use while it is validated so the pool can't overfill
+      this.inUse.set(entry.connection, entry);
+      if (await this.validate(entry)) {
+        entry.lastUsedAt = Date.now();
+        this.counters.acquired++;
+        return entry.connection;
+      }
+      this.inUse.delete(entry.connection);
+      this.destroyEntry(entry, "failed validation");
+    }
+
+    if (this.size >= this.maxSize) {
+      return null;
+    }
+
+    this.creating++;
+    let connection;
+    try {
+      connection = await this.connect();
+    } finally {
+      this.creating--;
+    }
+
+    const now = Date.now();
+    this.inUse.set(connection, {
+      connection,
+      createdAt: now,
+      lastUsedAt: now,
+    });
+    this.counters.created++;
+    this.counters.acquired++;
+    return connection;
+  }
+
+  // Get a connection, waiting for one to be released if the pool is full
+  async acquire() {
+    if (this.closed) {
+      throw new Error(`${this.name} connection pool is closed`);
+    }
+
+    const connection = await this.tryAcquire();
+    if (connection) {
+      return connection;
+    }
+
+    if (this.waiters.length >= this.maxWaiters) {
+      this.counters.rejected++;
+      throw new Error(
+        `${this.name} connection pool is exhausted with ${this.waiters.length} callers already waiting`
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, settled: false };
+      waiter.timer = setTimeout(() => {
+        waiter.settled = true;
+        const index = this.waiters.indexOf(waiter);
+        if (index !== -1) this.waiters.splice(index, 1);
+        this.counters.timeouts++;
+        reject(
+          new Error(
+            `Timed out after ${this.acquireTimeoutMillis}ms waiting for a ${this.name} connection`
+          )
+        );
+      }, this.acquireTimeoutMillis);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Hand connections to waiting callers, oldest first
+  async dispatch() {
+    while (this.waiters.length > 0 && !this.closed) {
+      const waiter = this.waiters.shift();
+
+      let connection;
+      try {
+        connection = await this.tryAcquire();
+      } catch (err) {
+        clearTimeout(waiter.timer);
+        if (!waiter.settled) waiter.reject(err);
+        continue;
+      }
+
+      if (!connection) {
+        if (!waiter.settled) this.waiters.unshift(waiter);
+        return;
+      }
+
+      clearTimeout(waiter.timer);
+      if (waiter.settled) {
+        // The waiter timed out while the connection was being prepared
+        this.release(connection);
+      } else {
+        waiter.settled = true;
+        waiter.resolve(connection);
+      }
+    }
+  }
+
+  // Return a connection to the pool
+  release(connection) {
+    const entry = this.inUse.get(connection);
+    if (!entry) {
+      logger.warn(`Released a connection not owned by the ${this.name} pool`);
+      return;
+    }
+    this.inUse.delete(connection);
+
+    if (this.closed) {
+      this.destroyEntry(entry, "pool closed");
+    } else if (this.isExpired(entry)) {
+      this.destroyEntry(entry, "max lifetime reached");
+    } else {
+      entry.lastUsedAt = Date.now();
+      this.idle.push(entry);
+    }
+
+    this.dispatch().catch((err) => {
+      logger.error(`Error serving ${this.name} pool waiters: ${err.message}`);
+    });
+  }
+
+  // Close idle connections that sat unused too long or are too old
+  evictIdle() {
+    const now = Date.now();
+
+    this.idle = this.idle.filter((entry) => {
+      if (this.isExpired(entry, now)) {
+        this.destroyEntry(entry, "max lifetime reached");
+        return false;
+      }
+      if (now - entry.lastUsedAt >= this.idleTimeoutMillis) {
+        this.destroyEntry(entry, "idle timeout");
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Close idle connections and refuse new requests; connections in use are
+  // closed when they are released
+  async close() {
+    this.closed = true;
+    clearInterval(this.evictionTimer);
+
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error(`${this.name} connection pool is closed`));
+    }
+
+    const idle = this.idle.splice(0);
+    await Promise.all(
+      idle.map((entry) =>
+        entry.connection.close().catch((err) => {
+          logger.warn(`Error closing ${this.name} connection: ${err.message}`);
+        })
+      )
+    );
+    this.counters.destroyed += idle.length;
+  }
+
+  // Report pool size and usage
+  getStats() {
+    return {
+      type: "odbc",
+      size: this.size,
+      maxSize: this.maxSize,
+      idle: this.idle.length,
+      inUse: this.inUse.size,
+      waiting: this.waiters.length,
+      ...this.counters,
+    };
+  }
+}
+
+module.exports = {
+  OdbcPool,
+};
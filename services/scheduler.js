@@ -0,0 +1,317 @@
+const logger = require("../config/logger");
+const { getTableConfigs } = require("../config/tables");
+const { syncBetweenDatabases } = require("./sync");
+const { parseCron, getNextRun } = require("../utils/cron");
+
+// Longest delay setTimeout supports; later runs are waited for in steps
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Registered jobs by id
+const jobs = new Map();
+
+// Table syncs waiting to start, per source database. Tables that come due
+// together or while their source is busy are synced in one run
+const pendingSyncs = new Map();
+
+// Latest sync run of each source database, so they never overlap
+const sourceQueues = new Map();
+
+/**
+ * Sync one table from its source, together with any other tables of the
+ * source waiting to sync, after the source's current sync finishes
+ * @param {string} sourceDbKey - Source database key
+ * @param {string} tableName - Table name
+ * @returns {Promise<Object>} Result of the sync the table was part of
+ */
+function syncTable(sourceDbKey, tableName) {
+  let batch = pendingSyncs.get(sourceDbKey);
+
+  if (!batch) {
+    batch = { tables: [] };
+    pendingSyncs.set(sourceDbKey, batch);
+
+    // Wait for the timers due at the same moment before starting
+    const previous = sourceQueues.get(sourceDbKey) || Promise.resolve();
+    batch.result = previous
+      .then(() => new Promise((resolve) => setImmediate(resolve)))
+      .then(() => {
+        pendingSyncs.delete(sourceDbKey);
+        return syncBetweenDatabases(sourceDbKey, "web", {
+          tables: batch.tables,
+        });
+      });
+    sourceQueues.set(
+      sourceDbKey,
+      batch.result.catch(() => {})
+    );
+  }
+
+  if (!batch.tables.includes(tableName)) {
+    batch.tables.push(tableName);
+  }
+  return batch.result;
+}
+
+/**
+ * Convert a job to its API shape
+ * @param {Object} job - Registered job
+ * @returns {Object} Job settings and state
+ */
+function toJobInfo(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    source: job.source,
+    table: job.table,
+    cron: job.schedule.cron,
+    interval: job.schedule.interval,
+    overlap: job.schedule.overlap,
+    paused: job.paused,
+    running: job.running,
+    queued: job.queued,
+    nextRun: job.nextRun,
+    lastRun: job.lastRun,
+    runs: job.runs,
+    skippedRuns: job.skippedRuns,
+  };
+}
+
+/**
+ * Find a registered job by id
+ * @param {string} id - Job id
+ * @returns {Object} Registered job
+ */
+function findJob(id) {
+  const job = jobs.get(id);
+
+  if (!job) {
+    const error = new Error(`Job not found: ${id}`);
+    error.code = "JOB_NOT_FOUND";
+    throw error;
+  }
+  return job;
+}
+
+/**
+ * Run a job now, following its overlap policy if it is still running
+ * @param {Object} job - Registered job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  if (job.running) {
+    if (job.schedule.overlap === "queue") {
+      job.queued = true;
+    } else {
+      job.skippedRuns++;
+      logger.warn(`Job ${job.id} is still running, skipping this run`);
+    }
+    return;
+  }
+
+  job.running = true;
+  const startedAt = new Date();
+
+  try {
+    // Syncs report failure in their result rather than by throwing
+    const result = await job.run();
+    job.lastRun = {
+      startedAt,
+      finishedAt: new Date(),
+      status: (result && result.status) || "success",
+      error: (result && result.error) || null,
+    };
+  } catch (err) {
+    logger.error(`Job ${job.id} failed: ${err.message}`);
+    job.lastRun = {
+      startedAt,
+      finishedAt: new Date(),
+      status: "failed",
+      error: err.message,
+    };
+  } finally {
+    job.running = false;
+    job.runs++;
+  }
+
+  if (job.queued) {
+    job.queued = false;
+    await runJob(job);
+  }
+}
+
+/**
+ * Set a job's timer for its next run
+ * @param {Object} job - Registered job
+ */
+function scheduleNext(job) {
+  clearTimeout(job.timer);
+  job.nextRun = job.cron
+    ? getNextRun(job.cron, new Date())
+    : new Date(Date.now() + job.schedule.interval * 1000);
+
+  if (!job.nextRun) {
+    logger.warn(`Job ${job.id} has no upcoming run for '${job.schedule.cron}'`);
+    return;
+  }
+
+  const wait = () => {
+    const delay = Math.max(0, job.nextRun.getTime() - Date.now());
+    job.timer = setTimeout(() => {
+      if (Date.now() < job.nextRun.getTime()) {
+        wait();
+        return;
+      }
+      scheduleNext(job);
+      runJob(job);
+    }, Math.min(delay, MAX_TIMEOUT));
+  };
+  wait();
+}
+
+/**
+ * Register a job, scheduled once the scheduler starts
+ * @param {Object} definition - Job definition
+ * @param {string} definition.id - Unique job id
+ * @param {string} definition.type - Kind of job, e.g. "sync"
+ * @param {Object} definition.schedule - { cron } or { interval } in seconds,
+ *   plus optional enabled (default true) and overlap ("skip" or "queue")
+ * @param {Function} definition.run - Runs the job, resolving to its result
+ * @param {string} [definition.source] - Source database the job syncs
+ * @param {string} [definition.table] - Table the job syncs
+ * @returns {Object} Job info
+ * @throws {Error} If the id is taken or the cron expression is invalid
+ */
+function registerJob({ id, type, schedule, run, source, table }) {
+  if (jobs.has(id)) {
+    throw new Error(`Duplicate job '${id}'`);
+  }
+
+  const job = {
+    id,
+    type,
+    source: source || null,
+    table: table || null,
+    schedule: { enabled: true, overlap: "skip", interval: null, ...schedule },
+    cron: schedule.cron ? parseCron(schedule.cron) : null,
+    run,
+    paused: schedule.enabled === false,
+    running: false,
+    queued: false,
+    nextRun: null,
+    lastRun: null,
+    runs: 0,
+    skippedRuns: 0,
+    timer: null,
+  };
+  jobs.set(id, job);
+  return toJobInfo(job);
+}
+
+/**
+ * Register a sync job for every configured table, with id "source:table"
+ * @returns {Array<Object>} Info of the registered jobs
+ */
+function registerSyncJobs() {
+  return getTableConfigs().map((table) =>
+    registerJob({
+      id: `${table.source}:${table.name}`,
+      type: "sync",
+      source: table.source,
+      table: table.name,
+      schedule: table.schedule,
+      run: () => syncTable(table.source, table.name),
+    })
+  );
+}
+
+/**
+ * Start the timers of every job that isn't paused
+ */
+function start() {
+  for (const job of jobs.values()) {
+    if (!job.paused) scheduleNext(job);
+  }
+
+  const summary = [...jobs.values()]
+    .map((job) =>
+      job.schedule.cron
+        ? `${job.id} at '${job.schedule.cron}'`
+        : `${job.id} every ${job.schedule.interval}s`
+    )
+    .join(", ");
+  logger.info(`Scheduled ${jobs.size} jobs: ${summary}`);
+}
+
+/**
+ * Stop every job's timer; runs in progress finish on their own
+ */
+function stop() {
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRun = null;
+  }
+}
+
+/**
+ * List the registered jobs
+ * @returns {Array<Object>} Info of every job, in registration order
+ */
+function listJobs() {
+  return [...jobs.values()].map(toJobInfo);
+}
+
+/**
+ * Get one job
+ * @param {string} id - Job id
+ * @returns {Object} Job info
+ */
+function getJob(id) {
+  return toJobInfo(findJob(id));
+}
+
+/**
+ * Pause a job so it no longer runs on schedule; a run in progress finishes
+ * Pauses last until the job is resumed or the service restarts
+ * @param {string} id - Job id
+ * @returns {Object} Job info
+ */
+function pauseJob(id) {
+  const job = findJob(id);
+
+  job.paused = true;
+  job.queued = false;
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.nextRun = null;
+
+  logger.info(`Job ${id} paused`);
+  return toJobInfo(job);
+}
+
+/**
+ * Resume a paused job, scheduling its next run
+ * @param {string} id - Job id
+ * @returns {Object} Job info
+ */
+function resumeJob(id) {
+  const job = findJob(id);
+
+  if (job.paused) {
+    job.paused = false;
+    scheduleNext(job);
+    logger.info(`Job ${id} resumed`);
+  }
+  return toJobInfo(job);
+}
+
+module.exports = {
+  registerJob,
+  registerSyncJobs,
+  start,
+  stop,
+  listJobs,
+  getJob,
+  pauseJob,
+  resumeJob,
+};
@@ -1,7 +1,23 @@
 const fs = require("fs");
 const path = require("path");
 const zlib = require("zlib");
+const crypto = require("crypto");
+const readline = require("readline");
+const { pipeline } = require("stream");
+const { once } = require("events");
 const logger = require("../config/logger");
+const { getTableConfigs } = require("../config/tables");
+const { computeDiff, isHashIndex } = require("../utils/diff");
+const { computeChecksum, createManifest } = require("../utils/checksum");
+const { planRetention } = require("../utils/retention");
+const { createSnapshotStorage } = require("./storage");
+const {
+  writePendingManifest,
+  finishManifest,
+  verifyChecksum,
+  copyFileWithManifest,
+  readManifest,
+} = require("./storage/file");
 
 // File paths with configurable directory
 const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || "./data";
@@ -10,11 +26,51 @@ const SNAPSHOT_RETENTION_DAYS = parseInt(
   10
 );
 
+// Archive retention: a count of newest archives and of hourly, daily and
+// weekly restore points to keep, and a size budget per database.
+// Age in days only applies when no counts are set
+const RETENTION_POLICY = {
+  maxAgeDays: SNAPSHOT_RETENTION_DAYS,
+  keepLast: parseInt(process.env.SNAPSHOT_KEEP_LAST || "0", 10),
+  keepHourly: parseInt(process.env.SNAPSHOT_KEEP_HOURLY || "0", 10),
+  keepDaily: parseInt(process.env.SNAPSHOT_KEEP_DAILY || "0", 10),
+  keepWeekly: parseInt(process.env.SNAPSHOT_KEEP_WEEKLY || "0", 10),
+  maxSizeBytes:
+    parseFloat(process.env.SNAPSHOT_MAX_SIZE_MB || "0") * 1024 * 1024,
+};
+
+// "full" stores every row, "compact" only a key-to-hash index per table
+const SNAPSHOT_FORMAT = process.env.SNAPSHOT_FORMAT || "full";
+// Also archive full rows on every save when using compact snapshots
+const SNAPSHOT_ARCHIVE_ROWS = process.env.SNAPSHOT_ARCHIVE_ROWS === "true";
+
+// Where snapshots are kept: "file" under SNAPSHOT_DIR, or "postgres" in a table
+const SNAPSHOT_STORAGE = process.env.SNAPSHOT_STORAGE || "file";
+const SNAPSHOT_STORAGE_DB = process.env.SNAPSHOT_STORAGE_DB || "web";
+const SNAPSHOT_TABLE = process.env.SNAPSHOT_TABLE || "sync_snapshots";
+
+// Snapshot key holding the format header, and the current format version
+const FORMAT_KEY = "_format";
+const FORMAT_VERSION = 2;
+
 // Create a more flexible structure for managing snapshots of different databases
 class SnapshotManager {
   constructor() {
     this.snapshotDir = SNAPSHOT_DIR;
+    this.format = SNAPSHOT_FORMAT;
+    this.archiveRows = SNAPSHOT_ARCHIVE_ROWS;
     this.ensureDirectoryExists();
+
+    if (!["full", "compact"].includes(this.format)) {
+      throw new Error(`Unsupported SNAPSHOT_FORMAT: ${this.format}`);
+    }
+
+    // Row streams of streaming tables are always kept under snapshotDir
+    this.storage = createSnapshotStorage(SNAPSHOT_STORAGE, {
+      snapshotDir: this.snapshotDir,
+      dbKey: SNAPSHOT_STORAGE_DB,
+      table: SNAPSHOT_TABLE,
+    });
   }
 
   // Create snapshot directory if it doesn't exist
@@ -31,87 +87,132 @@ class SnapshotManager {
     }
   }
 
-  // Get file paths for a specific database snapshot
-  getSnapshotPaths(dbName) {
-    return {
-      main: path.join(this.snapshotDir, `${dbName}.snapshot.json.gz`),
-      backup: path.join(this.snapshotDir, `${dbName}.backup.json.gz`),
-      archive: (timestamp) =>
-        path.join(
-          this.snapshotDir,
-          "archives",
-          `${dbName}.snapshot.${timestamp}.json.gz`
-        ),
-    };
+  // Get the format of a loaded snapshot; files without a header are full
+  getSnapshotFormat(snapshot) {
+    const header = snapshot && snapshot[FORMAT_KEY];
+    if (!header) {
+      return "full";
+    }
+
+    if (header.version > FORMAT_VERSION) {
+      throw new Error(
+        `Snapshot format version ${header.version} is newer than supported version ${FORMAT_VERSION}`
+      );
+    }
+    return header.format;
+  }
+
+  // Read, verify and decompress a stored snapshot, or null if it doesn't exist
+  // Throws if the snapshot doesn't match its checksum or can't be parsed
+  async readStoredSnapshot(dbName, id) {
+    const stored = await this.storage.read(dbName, id);
+    if (!stored) {
+      return null;
+    }
+
+    const location = this.storage.locate(dbName, id);
+    if (!stored.manifest) {
+      logger.warn(
+        `${location} has no checksum manifest, skipping verification`
+      );
+    } else if (stored.manifest.checksum !== computeChecksum(stored.data)) {
+      throw new Error(`${location} does not match its checksum manifest`);
+    }
+
+    const snapshot = JSON.parse(zlib.gunzipSync(stored.data).toString("utf8"));
+    this.getSnapshotFormat(snapshot);
+    return snapshot;
   }
 
   // Load snapshot for a specific database
-  loadSnapshot(dbName) {
+  // A missing snapshot starts with empty data, but a damaged one stops the
+  // sync instead of treating every row as new
+  async loadSnapshot(dbName) {
     logger.info(`Loading previous database snapshot for ${dbName}`);
-    const paths = this.getSnapshotPaths(dbName);
 
+    let snapshot;
     try {
-      if (fs.existsSync(paths.main)) {
-        // Read and decompress the gzipped snapshot
-        const compressedData = fs.readFileSync(paths.main);
-        const data = zlib.gunzipSync(compressedData).toString("utf8");
-        const snapshot = JSON.parse(data);
-        logger.info(
-          `Snapshot for ${dbName} loaded and decompressed successfully`
-        );
-        return snapshot;
-      }
+      snapshot = await this.readStoredSnapshot(dbName, "current");
+    } catch (error) {
+      logger.error(`Error loading snapshot for ${dbName}: ${error.message}`);
+      const current = this.storage.locate(dbName, "current");
+      const backup = this.storage.locate(dbName, "backup");
+      throw new Error(
+        `Snapshot for ${dbName} could not be loaded (${error.message}). ` +
+          `Syncing is stopped to avoid re-applying every row; restore ${backup} ` +
+          `or an archive over ${current}, or remove it to resync from scratch`
+      );
+    }
 
+    if (!snapshot) {
       // If no snapshot exists, start with empty object
       logger.info(
         `No previous snapshot found for ${dbName}, starting with empty data`
       );
       return {};
-    } catch (error) {
-      logger.error(`Error loading snapshot for ${dbName}: ${error.message}`);
+    }
 
-      // Try to load from backup if main snapshot is corrupted
-      if (fs.existsSync(paths.backup)) {
-        logger.info(`Attempting to load from backup snapshot for ${dbName}`);
-        try {
-          const compressedBackup = fs.readFileSync(paths.backup);
-          const backupData = zlib.gunzipSync(compressedBackup).toString("utf8");
-          return JSON.parse(backupData);
-        } catch (backupError) {
-          logger.error(
-            `Backup snapshot for ${dbName} also corrupted: ${backupError.message}`
-          );
-        }
-      }
+    logger.info(`Snapshot for ${dbName} loaded and decompressed successfully`);
+    return snapshot;
+  }
 
-      // Return empty object if all attempts fail
-      return {};
-    }
+  // Whether saves with these { client, database } options join that
+  // database's transaction, rather than being written immediately
+  joinsTransaction(options = {}) {
+    return this.storage.joinsTransaction(options);
   }
 
   // Save snapshot for a specific database with compression
-  saveSnapshot(dbName, snapshot) {
+  // The format header records whether tables hold rows or hash indexes
+  // Pass { client, database } to write within that database's transaction
+  // when the storage backend supports it
+  async saveSnapshot(dbName, snapshot, format = "full", options = {}) {
     logger.info(`Saving current database snapshot for ${dbName}`);
-    const paths = this.getSnapshotPaths(dbName);
 
     try {
       // First backup the current snapshot if it exists
-      if (fs.existsSync(paths.main)) {
-        fs.copyFileSync(paths.main, paths.backup);
-
+      if (await this.storage.copy(dbName, "current", "backup", options)) {
         // Also create a timestamped archive copy
         const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-        const archivePath = paths.archive(timestamp);
-        fs.copyFileSync(paths.main, archivePath);
+        await this.storage.copy(
+          dbName,
+          "current",
+          `snapshot.${timestamp}`,
+          options
+        );
         logger.info(
           `Previous snapshot for ${dbName} backed up and archived successfully`
         );
       }
 
+      // Record row counts so snapshots can be listed without reading them
+      const rowCounts = {};
+      for (const [table, data] of Object.entries(snapshot)) {
+        if (!table.startsWith("_") && data) {
+          rowCounts[table] = Array.isArray(data)
+            ? data.length
+            : Object.keys(data).length;
+        }
+      }
+
       // Compress and save the new snapshot
-      const jsonData = JSON.stringify(snapshot);
+      const jsonData = JSON.stringify({
+        ...snapshot,
+        [FORMAT_KEY]: { version: FORMAT_VERSION, format },
+      });
       const compressedData = zlib.gzipSync(jsonData);
-      fs.writeFileSync(paths.main, compressedData);
+      const manifest = createManifest(
+        computeChecksum(compressedData),
+        compressedData.length,
+        { format, rowCounts }
+      );
+      await this.storage.write(
+        dbName,
+        "current",
+        compressedData,
+        manifest,
+        options
+      );
 
       logger.info(
         `Snapshot for ${dbName} compressed and saved successfully (${compressedData.length} bytes)`
@@ -123,45 +224,365 @@ class SnapshotManager {
     }
   }
 
-  // Purge old snapshots for all databases
-  purgeOldSnapshots(maxAgeInDays = SNAPSHOT_RETENTION_DAYS) {
-    const archiveDir = path.join(this.snapshotDir, "archives");
+  // Archive full rows alongside a compact snapshot for auditing
+  async saveRowArchive(dbName, rows, options = {}) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
 
+    const rowCounts = {};
+    for (const [table, data] of Object.entries(rows)) {
+      rowCounts[table] = data.length;
+    }
+
+    const compressedData = zlib.gzipSync(JSON.stringify(rows));
+    const manifest = createManifest(
+      computeChecksum(compressedData),
+      compressedData.length,
+      { format: "full", rowCounts }
+    );
+    await this.storage.write(
+      dbName,
+      `rows.${timestamp}`,
+      compressedData,
+      manifest,
+      options
+    );
+    logger.info(
+      `Row archive for ${dbName} saved successfully (${compressedData.length} bytes)`
+    );
+  }
+
+  // Purge snapshot archives of all databases under a retention policy
+  // With dryRun nothing is deleted; the report shows what would be
+  async purgeOldSnapshots({ policy = RETENTION_POLICY, dryRun = false } = {}) {
     try {
-      // Read all files in the archive directory
-      const files = fs.readdirSync(archiveDir);
-      const now = new Date();
-      let deletedCount = 0;
-
-      for (const file of files) {
-        if (file.endsWith(".json.gz")) {
-          const filePath = path.join(archiveDir, file);
-          const stats = fs.statSync(filePath);
-
-          // Calculate file age in days
-          const ageInDays = (now - stats.mtime) / (1000 * 60 * 60 * 24);
-
-          if (ageInDays > maxAgeInDays) {
-            fs.unlinkSync(filePath);
-            deletedCount++;
-          }
+      // Only archives expire, never the current snapshot or its backup
+      const archives = (await this.storage.list()).filter(
+        (entry) => entry.id !== "current" && entry.id !== "backup"
+      );
+      const { kept, deleted } = planRetention(archives, policy);
+
+      const databases = {};
+      const reportFor = (db) =>
+        (databases[db] = databases[db] || { kept: [], deleted: [] });
+      for (const { db, manifest, ...archive } of kept) {
+        reportFor(db).kept.push(archive);
+      }
+      for (const { db, manifest, ...archive } of deleted) {
+        reportFor(db).deleted.push(archive);
+      }
+
+      let freedBytes = 0;
+      for (const entry of deleted) {
+        if (!dryRun) {
+          await this.storage.remove(entry.db, entry.id);
         }
+        freedBytes += entry.size;
       }
 
-      if (deletedCount > 0) {
-        logger.info(`Purged ${deletedCount} old snapshot archives`);
+      if (deleted.length > 0) {
+        logger.info(
+          `${dryRun ? "Would purge" : "Purged"} ${
+            deleted.length
+          } old snapshot archives (${freedBytes} bytes)`
+        );
       }
-      return deletedCount;
+      return { dryRun, deletedCount: deleted.length, freedBytes, databases };
     } catch (error) {
       logger.error(`Error purging old snapshots: ${error.message}`);
-      return 0;
+      throw error;
+    }
+  }
+
+  // Get file paths for a table stored as a key-ordered row stream
+  // Every call gets its own temporary file, so a dry run writing alongside
+  // a sync never shares or removes the sync's file
+  getTableStreamPaths(dbName, tableName) {
+    const base = path.join(this.snapshotDir, `${dbName}.${tableName}.rows`);
+    return {
+      main: `${base}.ndjson.gz`,
+      backup: `${base}.backup.ndjson.gz`,
+      temp: `${base}.tmp-${crypto.randomUUID()}.ndjson.gz`,
+    };
+  }
+
+  // Read a streamed table snapshot row by row, in the order it was written
+  async *readTableStream(dbName, tableName) {
+    const paths = this.getTableStreamPaths(dbName, tableName);
+
+    if (!fs.existsSync(paths.main)) {
+      logger.info(
+        `No previous row stream found for ${dbName}.${tableName}, starting with empty data`
+      );
+      return;
     }
+
+    // Checksum the file while it is read, and verify it once fully read
+    const hash = crypto.createHash("sha256");
+    const file = fs.createReadStream(paths.main);
+    file.on("data", (chunk) => hash.update(chunk));
+
+    const input = pipeline(file, zlib.createGunzip(), () => {});
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    const damaged = (reason) =>
+      new Error(
+        `Row stream ${paths.main} could not be loaded (${reason}). ` +
+          `Restore ${paths.backup} over it, or remove it to resync the table from scratch`
+      );
+
+    try {
+      for await (const line of lines) {
+        if (line) {
+          yield JSON.parse(line);
+        }
+      }
+    } catch (error) {
+      throw damaged(error.message);
+    } finally {
+      input.destroy();
+    }
+
+    if (verifyChecksum(paths.main, hash.digest("hex")) === false) {
+      throw damaged("checksum mismatch");
+    }
+  }
+
+  // Start writing a new streamed table snapshot
+  // The file only replaces the current one when commit() is called
+  createTableStreamWriter(dbName, tableName) {
+    const paths = this.getTableStreamPaths(dbName, tableName);
+    const gzip = zlib.createGzip();
+    const file = fs.createWriteStream(paths.temp);
+    const done = new Promise((resolve, reject) => {
+      pipeline(gzip, file, (err) => (err ? reject(err) : resolve()));
+    });
+    // Surface write errors through commit() rather than as unhandled rejections
+    done.catch(() => {});
+
+    // Checksum the compressed output as it is produced
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    gzip.on("data", (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    });
+
+    let rowCount = 0;
+    let finished = null;
+
+    // End the temporary file once, before it is read back or committed
+    const finish = () => {
+      if (!finished) {
+        gzip.end();
+        finished = done.then(() => {
+          const fd = fs.openSync(paths.temp, "r+");
+          try {
+            fs.fsyncSync(fd);
+          } finally {
+            fs.closeSync(fd);
+          }
+        });
+      }
+      return finished;
+    };
+
+    return {
+      async write(row) {
+        rowCount++;
+        if (!gzip.write(`${JSON.stringify(row)}\n`)) {
+          await once(gzip, "drain");
+        }
+      },
+
+      // Read the written rows back before they are committed
+      async *rows() {
+        await finish();
+        const input = pipeline(
+          fs.createReadStream(paths.temp),
+          zlib.createGunzip(),
+          () => {}
+        );
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+          for await (const line of lines) {
+            if (line) {
+              yield JSON.parse(line);
+            }
+          }
+        } finally {
+          input.destroy();
+        }
+      },
+
+      async commit() {
+        await finish();
+
+        writePendingManifest(
+          paths.main,
+          createManifest(hash.digest("hex"), size, {
+            format: "stream",
+            rowCounts: { [tableName]: rowCount },
+          })
+        );
+        if (fs.existsSync(paths.main)) {
+          copyFileWithManifest(paths.main, paths.backup);
+        }
+        fs.renameSync(paths.temp, paths.main);
+        finishManifest(paths.main);
+        logger.info(
+          `Row stream for ${dbName}.${tableName} saved successfully (${rowCount} rows)`
+        );
+      },
+
+      abort() {
+        gzip.destroy();
+        // The file may still be opening, so remove it once it is closed
+        const remove = () => fs.rmSync(paths.temp, { force: true });
+        if (file.closed) {
+          remove();
+        } else {
+          file.once("close", remove);
+          file.destroy();
+        }
+      },
+    };
+  }
+
+  // Describe a stored snapshot using its manifest
+  describeSnapshot(entry) {
+    return {
+      id: entry.id,
+      location: this.storage.locate(entry.db, entry.id),
+      size: entry.size,
+      modifiedAt: entry.modifiedAt,
+      format: entry.manifest?.format || null,
+      rowCounts: entry.manifest?.rowCounts || null,
+      hasManifest: Boolean(entry.manifest),
+    };
+  }
+
+  // List current, backup, archived and streamed snapshots per database
+  async listSnapshots(dbName) {
+    const databases = {};
+    const entryFor = (name) => {
+      if (!databases[name]) {
+        databases[name] = {
+          current: null,
+          backup: null,
+          archives: [],
+          streams: [],
+        };
+      }
+      return databases[name];
+    };
+
+    for (const entry of await this.storage.list(dbName)) {
+      const description = this.describeSnapshot(entry);
+      if (entry.id === "current" || entry.id === "backup") {
+        entryFor(entry.db)[entry.id] = description;
+      } else {
+        entryFor(entry.db).archives.push(description);
+      }
+    }
+
+    for (const file of fs.readdirSync(this.snapshotDir)) {
+      const match = file.match(/^([\w-]+)\.([\w-]+)\.rows\.ndjson\.gz$/);
+      if (!match || (dbName && match[1] !== dbName)) continue;
+
+      const filePath = path.join(this.snapshotDir, file);
+      const stats = fs.statSync(filePath);
+      const manifest = readManifest(filePath);
+      entryFor(match[1]).streams.push({
+        table: match[2],
+        location: filePath,
+        size: stats.size,
+        modifiedAt: stats.mtime,
+        rowCounts: manifest?.rowCounts || null,
+        hasManifest: Boolean(manifest),
+      });
+    }
+
+    for (const entry of Object.values(databases)) {
+      entry.archives.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    if (dbName) {
+      return databases[dbName] || null;
+    }
+    return databases;
+  }
+
+  // Read a snapshot by id ("current", "backup" or an archive id), throwing
+  // if it doesn't exist
+  async readSnapshotById(dbName, id) {
+    const snapshot = await this.readStoredSnapshot(dbName, id);
+    if (!snapshot) {
+      const error = new Error(`Snapshot '${id}' not found for ${dbName}`);
+      error.code = "SNAPSHOT_NOT_FOUND";
+      throw error;
+    }
+    return snapshot;
+  }
+
+  // Compute the differences between two snapshots of a database
+  // Tables are matched using the primary keys from the table config
+  async diffSnapshots(dbName, fromId, toId, options = {}) {
+    const from = await this.readSnapshotById(dbName, fromId);
+    const to = await this.readSnapshotById(dbName, toId);
+    const sampleSize = options.sampleSize ?? 10;
+    const result = {};
+
+    for (const table of getTableConfigs()) {
+      if (options.table && table.name !== options.table) continue;
+      if (!from[table.name] && !to[table.name]) continue;
+
+      if (isHashIndex(to[table.name])) {
+        result[table.name] = {
+          error: `Snapshot '${toId}' only stores row hashes for ${table.name}, diff needs full rows`,
+        };
+        continue;
+      }
+
+      const tableDiff = computeDiff(
+        from[table.name] || [],
+        to[table.name] || [],
+        table.primaryKey,
+        { normalize: table.normalize, ignoreColumns: table.ignoreColumns }
+      );
+
+      result[table.name] = {
+        inserts: tableDiff.inserts.length,
+        updates: tableDiff.updates.length,
+        deletes: tableDiff.deletes.length,
+        samples: {
+          inserts: tableDiff.inserts.slice(0, sampleSize),
+          updates: tableDiff.updates.slice(0, sampleSize),
+          deletes: tableDiff.deletes.slice(0, sampleSize),
+        },
+      };
+    }
+
+    return result;
+  }
+
+  // Make an archived snapshot the current one
+  // The current snapshot is archived first, so a restore can be undone
+  async restoreSnapshot(dbName, id) {
+    const snapshot = await this.readSnapshotById(dbName, id);
+    const format = this.getSnapshotFormat(snapshot);
+    delete snapshot[FORMAT_KEY];
+
+    await this.saveSnapshot(dbName, snapshot, format);
+    logger.info(`Snapshot '${id}' restored as current snapshot for ${dbName}`);
+
+    const snapshots = await this.listSnapshots(dbName);
+    return snapshots.current;
   }
 
   // Merge new data into existing snapshot
-  mergeSnapshot(dbName, newData, tables) {
+  async mergeSnapshot(dbName, newData, tables) {
     // Load existing snapshot
-    const existingSnapshot = this.loadSnapshot(dbName);
+    const existingSnapshot = await this.loadSnapshot(dbName);
 
     // Initialize tables that don't exist in the snapshot
     tables.forEach((table) => {
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../config/logger");
+const { computeChecksum } = require("../../utils/checksum");
+
+// Checksum manifests are stored next to each snapshot file
+const MANIFEST_SUFFIX = ".manifest.json";
+
+// Names allowed in snapshot ids, so ids can't point outside the snapshot directory
+const SAFE_NAME_PATTERN = /^[\w-]+$/;
+const ARCHIVE_ID_PATTERN = /^(snapshot|rows)\.[\w-]+$/;
+
+/**
+ * Flush a directory entry to disk so a rename survives a crash
+ * Not supported on every platform, so failures are ignored
+ * @param {string} dir - Directory path
+ */
+function fsyncDirectory(dir) {
+  try {
+    const fd = fs.openSync(dir, "r");
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (err) {
+    // Directory fsync isn't available on this platform
+  }
+}
+
+/**
+ * Write a file through a temp file, fsync it and rename it into place
+ * @param {string} filePath - Destination path
+ * @param {Buffer|string} data - File contents
+ */
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Write the manifest for a file that is about to replace filePath
+ * It stays pending until finishManifest renames it into place
+ * @param {string} filePath - Snapshot file path
+ * @param {Object} manifest - Manifest of the new contents
+ */
+function writePendingManifest(filePath, manifest) {
+  const fd = fs.openSync(`${filePath}${MANIFEST_SUFFIX}.tmp`, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(manifest, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Move a pending manifest into place once its file has been renamed
+ * @param {string} filePath - Snapshot file path
+ */
+function finishManifest(filePath) {
+  const manifestPath = `${filePath}${MANIFEST_SUFFIX}`;
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Read the checksum manifest of a file
+ * @param {string} filePath - Snapshot file path
+ * @returns {Object|null} Manifest, or null if the file has none
+ */
+function readManifest(filePath) {
+  const manifestPath = `${filePath}${MANIFEST_SUFFIX}`;
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Check a file against its manifest checksum
+ * A pending manifest left by an interrupted write is accepted and completed
+ * when it matches the data
+ * @param {string} filePath - Snapshot file path
+ * @param {string} checksum - Checksum of the file contents
+ * @returns {boolean|null} True if it matches, false if not, null without a manifest
+ */
+function verifyChecksum(filePath, checksum) {
+  const manifest = readManifest(filePath);
+  if (manifest && manifest.checksum === checksum) {
+    return true;
+  }
+
+  const pendingPath = `${filePath}${MANIFEST_SUFFIX}.tmp`;
+  if (fs.existsSync(pendingPath)) {
+    const pending = JSON.parse(fs.readFileSync(pendingPath, "utf8"));
+    if (pending.checksum === checksum) {
+      fs.renameSync(pendingPath, `${filePath}${MANIFEST_SUFFIX}`);
+      logger.warn(`Recovered checksum manifest for ${filePath}`);
+      return true;
+    }
+  }
+
+  return manifest ? false : null;
+}
+
+/**
+ * Copy a file and its manifest atomically
+ * @param {string} source - Source file path
+ * @param {string} destination - Destination file path
+ */
+function copyFileWithManifest(source, destination) {
+  fs.copyFileSync(source, `${destination}.tmp`);
+  fs.renameSync(`${destination}.tmp`, destination);
+
+  const manifestPath = `${source}${MANIFEST_SUFFIX}`;
+  if (fs.existsSync(manifestPath)) {
+    fs.copyFileSync(manifestPath, `${destination}${MANIFEST_SUFFIX}`);
+  } else {
+    fs.rmSync(`${destination}${MANIFEST_SUFFIX}`, { force: true });
+  }
+}
+
+// Stores snapshots as gzipped files with checksum manifests under a directory
+class FileSnapshotStorage {
+  constructor(snapshotDir) {
+    this.snapshotDir = snapshotDir;
+    this.archiveDir = path.join(snapshotDir, "archives");
+  }
+
+  // Resolve a snapshot id ("current", "backup" or an archive id) to its file
+  // Returns null for ids that aren't valid snapshot names
+  getPath(dbName, id) {
+    if (!SAFE_NAME_PATTERN.test(dbName)) {
+      return null;
+    }
+
+    if (id === "current") {
+      return path.join(this.snapshotDir, `${dbName}.snapshot.json.gz`);
+    }
+    if (id === "backup") {
+      return path.join(this.snapshotDir, `${dbName}.backup.json.gz`);
+    }
+    if (ARCHIVE_ID_PATTERN.test(id)) {
+      return path.join(this.archiveDir, `${dbName}.${id}.json.gz`);
+    }
+    return null;
+  }
+
+  // Describe where a snapshot is stored, for log and error messages
+  locate(dbName, id) {
+    return this.getPath(dbName, id) || `${dbName}/${id}`;
+  }
+
+  // Files are written immediately, never as part of a transaction
+  joinsTransaction() {
+    return false;
+  }
+
+  // Read a snapshot's contents and manifest, or null if it doesn't exist
+  async read(dbName, id) {
+    const filePath = this.getPath(dbName, id);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const data = fs.readFileSync(filePath);
+    // Completes a manifest left pending by an interrupted write
+    verifyChecksum(filePath, computeChecksum(data));
+    return { data, manifest: readManifest(filePath) };
+  }
+
+  // Write a snapshot and its manifest
+  // The manifest is written before the data is renamed, so a crash between
+  // the two renames can be recovered on the next read
+  async write(dbName, id, data, manifest) {
+    const filePath = this.getPath(dbName, id);
+    if (!filePath) {
+      throw new Error(`Invalid snapshot id '${id}' for ${dbName}`);
+    }
+
+    writePendingManifest(filePath, manifest);
+    writeFileAtomic(filePath, data);
+    finishManifest(filePath);
+  }
+
+  // Copy a snapshot to another id, returning false if the source doesn't exist
+  async copy(dbName, fromId, toId) {
+    const source = this.getPath(dbName, fromId);
+    const destination = this.getPath(dbName, toId);
+    if (!source || !destination || !fs.existsSync(source)) {
+      return false;
+    }
+
+    copyFileWithManifest(source, destination);
+    return true;
+  }
+
+  // Delete a snapshot and its manifest
+  async remove(dbName, id) {
+    const filePath = this.getPath(dbName, id);
+    if (!filePath) {
+      return;
+    }
+
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}${MANIFEST_SUFFIX}`, { force: true });
+  }
+
+  // List stored snapshots, optionally for one database
+  async list(dbName) {
+    const entries = [];
+    const addEntry = (db, id, filePath) => {
+      if (dbName && db !== dbName) return;
+      const stats = fs.statSync(filePath);
+      entries.push({
+        db,
+        id,
+        size: stats.size,
+        modifiedAt: stats.mtime,
+        manifest: readManifest(filePath),
+      });
+    };
+
+    for (const file of fs.readdirSync(this.snapshotDir)) {
+      const match = file.match(/^([\w-]+)\.(snapshot|backup)\.json\.gz$/);
+      if (match) {
+        const id = match[2] === "snapshot" ? "current" : "backup";
+        addEntry(match[1], id, path.join(this.snapshotDir, file));
+      }
+    }
+
+    const archiveFiles = fs.existsSync(this.archiveDir)
+      ? fs.readdirSync(this.archiveDir)
+      : [];
+    for (const file of archiveFiles) {
+      const match = file.match(
+        /^([\w-]+)\.((snapshot|rows)\.[\w-]+)\.json\.gz$/
+      );
+      if (match) {
+        addEntry(match[1], match[2], path.join(this.archiveDir, file));
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = {
+  FileSnapshotStorage,
+  MANIFEST_SUFFIX,
+  writePendingManifest,
+  finishManifest,
+  readManifest,
+  verifyChecksum,
+  copyFileWithManifest,
+};
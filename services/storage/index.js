@@ -0,0 +1,42 @@
+const { FileSnapshotStorage } = require("./file");
+const { PostgresSnapshotStorage } = require("./postgres");
+
+/**
+ * Create the snapshot storage backend
+ *
+ * Every backend stores compressed snapshots with their checksum manifest
+ * under a database name and snapshot id ("current", "backup" or an archive
+ * id) and provides:
+ *   read(dbName, id, options)                 -> { data, manifest } or null
+ *   write(dbName, id, data, manifest, options)
+ *   copy(dbName, fromId, toId, options)       -> false if fromId is missing
+ *   remove(dbName, id, options)
+ *   list(dbName, options)                     -> [{ db, id, size, modifiedAt, manifest }]
+ *   locate(dbName, id)                        -> description for messages
+ *   joinsTransaction(options)                 -> true if writes join options.client's transaction
+ * Options may carry { client, database } so writes can join a transaction
+ *
+ * @param {string} type - "file" or "postgres"
+ * @param {Object} settings - Backend settings
+ * @param {string} settings.snapshotDir - Directory for file snapshots
+ * @param {string} [settings.dbKey] - Database holding the snapshot table
+ * @param {string} [settings.table] - Snapshot table name
+ * @returns {Object} Storage backend
+ */
+function createSnapshotStorage(type, settings) {
+  switch (type) {
+    case "file":
+      return new FileSnapshotStorage(settings.snapshotDir);
+    case "postgres":
+      return new PostgresSnapshotStorage({
+        dbKey: settings.dbKey,
+        table: settings.table,
+      });
+    default:
+      throw new Error(`Unsupported SNAPSHOT_STORAGE: ${type}`);
+  }
+}
+
+module.exports = {
+  createSnapshotStorage,
+};
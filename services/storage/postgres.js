@@ -0,0 +1,128 @@
+const dbService = require("../database");
+const {
+  assertTableName,
+  createTableOnce,
+  buildUpsertQuery,
+} = require("../../utils/sql");
+
+// Stores snapshots as rows of a table in a Postgres database
+// Writes can join the sync transaction, so the snapshot and the data changes
+// are committed or rolled back together
+class PostgresSnapshotStorage {
+  constructor({ dbKey = "web", table = "sync_snapshots" } = {}) {
+    assertTableName(table, "snapshot");
+
+    this.dbKey = dbKey;
+    this.table = table;
+    // Create the snapshot table on first use
+    this.ensureTable = createTableOnce(
+      () => dbService.getDBConnection(dbKey),
+      table,
+      `db_name TEXT NOT NULL,
+      snapshot_id TEXT NOT NULL,
+      data BYTEA NOT NULL,
+      manifest JSONB,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (db_name, snapshot_id)`,
+      "snapshot"
+    );
+  }
+
+  // Get something to run queries with: the caller's transaction client when
+  // it belongs to the snapshot database, otherwise the pool
+  async getExecutor(options = {}) {
+    await this.ensureTable();
+
+    if (options.client && options.database === this.dbKey) {
+      return options.client;
+    }
+    return dbService.getDBConnection(this.dbKey);
+  }
+
+  // Whether writes with these options join the caller's transaction
+  joinsTransaction(options = {}) {
+    return Boolean(options.client && options.database === this.dbKey);
+  }
+
+  // Describe where a snapshot is stored, for log and error messages
+  locate(dbName, id) {
+    return `${this.table} (${dbName}/${id}) in the ${this.dbKey} database`;
+  }
+
+  // Read a snapshot's contents and manifest, or null if it doesn't exist
+  async read(dbName, id, options = {}) {
+    const executor = await this.getExecutor(options);
+    const result = await executor.query(
+      `SELECT data, manifest FROM ${this.table}
+        WHERE db_name = $1 AND snapshot_id = $2`,
+      [dbName, id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return { data: result.rows[0].data, manifest: result.rows[0].manifest };
+  }
+
+  // Write a snapshot and its manifest
+  async write(dbName, id, data, manifest, options = {}) {
+    const executor = await this.getExecutor(options);
+    await executor.query(
+      buildUpsertQuery(
+        this.table,
+        ["db_name", "snapshot_id", "data", "manifest", "updated_at"],
+        ["db_name", "snapshot_id"]
+      ),
+      [dbName, id, data, JSON.stringify(manifest), new Date()]
+    );
+  }
+
+  // Copy a snapshot to another id, returning false if the source doesn't exist
+  async copy(dbName, fromId, toId, options = {}) {
+    const executor = await this.getExecutor(options);
+    const result = await executor.query(
+      `INSERT INTO ${this.table} (db_name, snapshot_id, data, manifest, updated_at)
+        SELECT db_name, $3, data, manifest, NOW() FROM ${this.table}
+        WHERE db_name = $1 AND snapshot_id = $2
+        ON CONFLICT (db_name, snapshot_id) DO UPDATE SET
+          data = EXCLUDED.data,
+          manifest = EXCLUDED.manifest,
+          updated_at = EXCLUDED.updated_at`,
+      [dbName, fromId, toId]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Delete a snapshot
+  async remove(dbName, id, options = {}) {
+    const executor = await this.getExecutor(options);
+    await executor.query(
+      `DELETE FROM ${this.table} WHERE db_name = $1 AND snapshot_id = $2`,
+      [dbName, id]
+    );
+  }
+
+  // List stored snapshots, optionally for one database
+  async list(dbName, options = {}) {
+    const executor = await this.getExecutor(options);
+    const result = await executor.query(
+      `SELECT db_name, snapshot_id, manifest, updated_at,
+          octet_length(data) AS size
+        FROM ${this.table}
+        WHERE $1::TEXT IS NULL OR db_name = $1`,
+      [dbName || null]
+    );
+
+    return result.rows.map((row) => ({
+      db: row.db_name,
+      id: row.snapshot_id,
+      size: row.size,
+      modifiedAt: row.updated_at,
+      manifest: row.manifest,
+    }));
+  }
+}
+
+module.exports = {
+  PostgresSnapshotStorage,
+};
@@ -1,212 +1,549 @@
+const crypto = require("crypto");
 const logger = require("../config/logger");
 const dbService = require("./database");
 const snapshotManager = require("./snapshot");
-const { computeDiff } = require("../utils/diff");
-
-// Stats for tracking sync performance per database
-const syncStats = {
-  web: {
-    totalSyncs: 0,
-    successfulSyncs: 0,
-    failedSyncs: 0,
-    lastSyncTime: null,
-    lastSuccessTime: null,
-    lastErrorTime: null,
-    lastError: null,
-    averageDuration: 0,
-    totalDuration: 0,
-  },
-  remote: {
+const deadLetterQueue = require("./deadletter");
+const {
+  computeDiff,
+  streamDiff,
+  isHashIndex,
+  buildHashIndex,
+} = require("../utils/diff");
+const {
+  getTableConfigs,
+  getTableConfig,
+  getKeyCollation,
+} = require("../config/tables");
+const { getDatabaseConfigs } = require("../config/databases");
+const {
+  WATERMARK_KEY,
+  getIncrementalWatermarks,
+  mergeIncrementalRows,
+  buildWatermarkState,
+} = require("../utils/watermark");
+const {
+  getKeyColumns,
+  getBatchSize,
+  chunk,
+  buildUpsertQuery,
+  buildUpdateQuery,
+  buildBulkUpdateQuery,
+  buildDeleteQuery,
+  buildSoftDeleteQuery,
+  buildArchiveDeleteQuery,
+  buildKeysetQuery,
+  groupUpdates,
+  getColumnTypes,
+  getTargetColumns,
+  getForeignKeys,
+} = require("../utils/sql");
+const { describeSourceColumns, compareColumns } = require("../utils/schema");
+const { sortByDependencies } = require("../utils/dependencies");
+const { checkChangeLimits } = require("../utils/limits");
+
+// Stats for tracking sync performance per database, created on first use
+const syncStats = {};
+
+// Empty sync stats
+function createStats() {
+  return {
     totalSyncs: 0,
     successfulSyncs: 0,
     failedSyncs: 0,
+    skippedSyncs: 0,
+    heldSyncs: 0,
+    deadLetteredRows: 0,
     lastSyncTime: null,
     lastSuccessTime: null,
     lastErrorTime: null,
     lastError: null,
     averageDuration: 0,
     totalDuration: 0,
-  },
-  // Add more database stats as needed
-};
+  };
+}
+
+/**
+ * Get the sync stats of a database, creating them if needed
+ * @param {string} dbKey - Database key
+ * @returns {Object} Mutable stats for the database
+ */
+function getStats(dbKey) {
+  if (!syncStats[dbKey]) {
+    syncStats[dbKey] = createStats();
+  }
+  return syncStats[dbKey];
+}
+
+// Source databases with a sync currently in progress
+const runningSyncs = new Set();
+
+// Source databases with a reconciliation in progress
+const runningReconciliations = new Set();
+
+// Latest reconciliation result per table, keyed by "source/table"
+const reconciliations = {};
+
+// Changes held back because they exceeded a table's change limits, waiting
+// for approval, keyed by source database
+const pendingChangesets = {};
+
+// Sample rows kept per table of a held changeset
+const CHANGESET_SAMPLE_SIZE = 5;
+
+/**
+ * Get a table's entry in a dry-run plan, creating it if needed
+ * @param {Object} plan - Dry-run plan as { sampleSize, tables }
+ * @param {Object} table - Table configuration
+ * @returns {Object} Mutable change counts, sample rows and statements
+ */
+function getPlanEntry(plan, table) {
+  if (!plan.tables[table.name]) {
+    plan.tables[table.name] = {
+      targetTable: table.targetTable,
+      inserts: 0,
+      updates: 0,
+      deletes: 0,
+      samples: { inserts: [], updates: [], deletes: [] },
+      statementCount: 0,
+      statements: [],
+    };
+  }
+  return plan.tables[table.name];
+}
+
+/**
+ * Check whether an error was caused by the data of the rows being written,
+ * such as a duplicate key or a value too long for its column, rather than
+ * by the connection or the schema
+ * @param {Error} err - Error from the target database
+ * @returns {boolean} True for data exceptions and constraint violations
+ */
+function isRowError(err) {
+  return /^2[23]/.test(err.code || "");
+}
+
+/**
+ * Run a statement under a savepoint, undoing only its effects if it fails
+ * so the surrounding transaction can continue
+ * @param {Object} client - Database client with transaction
+ * @param {string} sql - Statement to run
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} Query result
+ */
+async function queryWithSavepoint(client, sql, params) {
+  await client.query("SAVEPOINT sync_batch");
+  try {
+    const result = await client.query(sql, params);
+    await client.query("RELEASE SAVEPOINT sync_batch");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK TO SAVEPOINT sync_batch");
+    throw err;
+  }
+}
+
+/**
+ * Build the statement removing rows from a target table by the table's
+ * delete strategy, with keys bound as for buildDeleteQuery
+ * @param {Object} table - Table configuration
+ * @param {number} [rowCount] - Rows matched by a composite key
+ * @returns {string} Parameterized statement
+ */
+function buildRemoveQuery(table, rowCount = 1) {
+  const { targetTable, primaryKey, deleteStrategy } = table;
+
+  if (deleteStrategy.mode === "soft") {
+    return buildSoftDeleteQuery(
+      targetTable,
+      primaryKey,
+      deleteStrategy,
+      rowCount
+    );
+  }
+  if (deleteStrategy.mode === "archive") {
+    return buildArchiveDeleteQuery(
+      targetTable,
+      deleteStrategy.archiveTable,
+      primaryKey,
+      rowCount
+    );
+  }
+  return buildDeleteQuery(targetTable, primaryKey, rowCount);
+}
+
+/**
+ * Get the column values that bring back a soft-deleted row, written with
+ * every insert so rows that reappear in the source are reactivated
+ * @param {Object} table - Table configuration
+ * @returns {Object} Values by column, empty unless the table soft-deletes
+ */
+function getRestoreValues(table) {
+  const { mode, deletedAtColumn, activeColumn } = table.deleteStrategy;
+  const values = {};
+  if (mode !== "soft") return values;
+
+  if (deletedAtColumn) values[deletedAtColumn] = null;
+  if (activeColumn) values[activeColumn] = true;
+  return values;
+}
+
+/**
+ * Get the condition selecting the target rows that aren't soft-deleted
+ * @param {Object} table - Table configuration
+ * @returns {string|null} SQL condition, null unless the table soft-deletes
+ */
+function getActiveRowFilter(table) {
+  const { mode, deletedAtColumn, activeColumn } = table.deleteStrategy;
+  if (mode !== "soft") return null;
+
+  const conditions = [];
+  if (deletedAtColumn) conditions.push(`${deletedAtColumn} IS NULL`);
+  if (activeColumn) conditions.push(`${activeColumn} IS NOT FALSE`);
+  return conditions.join(" AND ");
+}
+
+/**
+ * Build the statement applying a single changed row
+ * @param {Object} table - Table configuration
+ * @param {string} operation - "insert", "update" or "delete"
+ * @param {Object} item - { row, columns }, the columns to write for inserts and updates
+ * @returns {Object} Statement as { sql, params }
+ */
+function buildRowStatement(table, operation, { row, columns }) {
+  const { targetTable, primaryKey } = table;
+  const keyValues = getKeyColumns(primaryKey).map((col) => row[col]);
+
+  if (operation === "insert") {
+    return {
+      sql: buildUpsertQuery(targetTable, columns, primaryKey),
+      params: columns.map((col) => row[col]),
+    };
+  }
+  if (operation === "update") {
+    return {
+      sql: buildUpdateQuery(targetTable, columns, primaryKey),
+      params: [...keyValues, ...columns.map((col) => row[col])],
+    };
+  }
+  return {
+    sql: buildRemoveQuery(table),
+    params: keyValues.length === 1 ? [keyValues] : keyValues,
+  };
+}
 
 /**
  * Sync data to the web database
- * @param {Object} diffData - Object containing differences to sync
+ * @param {Object} diffData - Object containing differences to sync, keyed by table name
  * @param {Object} client - Database client with transaction
+ * @param {Array<Object>} tableConfigs - Table mappings driving the writes,
+ *   parents before children
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.source] - Source database key, recorded with dead letters
+ * @param {Object} [options.plan] - Dry-run plan; when given, changes and the
+ *   generated statements are recorded in it instead of being written
+ * @param {Array<string>} [options.types] - Change types to write, by default
+ *   inserts, updates and deletes
+ * @returns {Promise<number>} Number of rows that failed and were dead-lettered
  */
-async function syncToWebDB(diffData, client) {
+async function syncToWebDB(
+  diffData,
+  client,
+  tableConfigs = getTableConfigs(),
+  options = {}
+) {
+  const {
+    source = "remote",
+    plan = null,
+    types = ["inserts", "updates", "deletes"],
+  } = options;
+
   if (!client) {
     throw new Error("Database client is required");
   }
 
+  const deadLetters = [];
+
+  // Inserts and updates go parents first and deletes children first, so
+  // foreign keys between the tables hold after every statement
+  const upserts = ["inserts", "updates"].filter((type) => types.includes(type));
+  const steps = [
+    ...(upserts.length > 0
+      ? tableConfigs.map((table) => ({ table, types: upserts }))
+      : []),
+    ...(types.includes("deletes")
+      ? [...tableConfigs]
+          .reverse()
+          .map((table) => ({ table, types: ["deletes"] }))
+      : []),
+  ];
+
   try {
-    // Process rrc_clients changes with batch operations
-    if (diffData.rrc_clients?.inserts?.length > 0) {
-      const insertQuery = `INSERT INTO rrc_clients (code, name, address, branch)
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (code) DO UPDATE SET
-           name = EXCLUDED.name,
-           address = EXCLUDED.address,
-           branch = EXCLUDED.branch
-         `;
-      const insertPromises = diffData.rrc_clients.inserts.map((row) =>
-        client.query(insertQuery, [row.code, row.name, row.address, row.branch])
-      );
-      await Promise.all(insertPromises);
-      logger.info(
-        `Processed ${diffData.rrc_clients.inserts.length} rrc_clients inserts`
-      );
-    }
+    for (const { table, types } of steps) {
+      const tableDiff = diffData[table.name];
+      if (!tableDiff) continue;
+
+      const { targetTable, primaryKey, batchSize } = table;
+      const keyColumns = getKeyColumns(primaryKey);
+      const keyValues = (row) => keyColumns.map((col) => row[col]);
+
+      // Use configured columns, falling back to the columns of the source rows
+      const columnsFor = (rows) => table.columns || Object.keys(rows[0]);
+
+      const entry = plan && getPlanEntry(plan, table);
+      if (entry) {
+        for (const type of types) {
+          const changes = tableDiff[type] || [];
+          const room = plan.sampleSize - entry.samples[type].length;
+          entry[type] += changes.length;
+          entry.samples[type].push(...changes.slice(0, Math.max(0, room)));
+        }
+      }
 
-    if (diffData.rrc_clients?.updates?.length > 0) {
-      const updateQuery = `
-        UPDATE rrc_clients
-        SET name = $2, address = $3, branch = $4
-        WHERE code = $1
-      `;
-      const updatePromises = diffData.rrc_clients.updates.map((row) =>
-        client.query(updateQuery, [row.code, row.name, row.address, row.branch])
-      );
-      await Promise.all(updatePromises);
-      logger.info(
-        `Processed ${diffData.rrc_clients.updates.length} rrc_clients updates`
-      );
-    }
+      // Each batch is applied under a savepoint. If it fails because of bad
+      // data, its rows are retried one at a time and rows that still fail
+      // are dead-lettered, so one bad row doesn't block every other change.
+      // A failed batch of one row is dead-lettered without running it again.
+      // Writes are only recorded during a dry run
+      const deadLetter = (operation, item, err) => {
+        const key = Object.fromEntries(
+          keyColumns.map((col) => [col, item.row[col]])
+        );
+        logger.error(
+          `Dead-lettering ${targetTable} ${operation} of ${JSON.stringify(
+            key
+          )}: ${err.detail || err.message}`
+        );
+        deadLetters.push({
+          source,
+          table: table.name,
+          targetTable,
+          operation,
+          key,
+          row: item.row,
+          columns: item.columns || null,
+          error: err,
+        });
+      };
 
-    if (diffData.rrc_clients?.deletes?.length > 0) {
-      const deletePromises = diffData.rrc_clients.deletes.map((row) =>
-        client.query(`DELETE FROM rrc_clients WHERE code = $1`, [row.code])
-      );
-      await Promise.all(deletePromises);
-      logger.info(
-        `Processed ${diffData.rrc_clients.deletes.length} rrc_clients deletes`
-      );
-    }
+      const execute = async (operation, items, sql, params) => {
+        if (entry) {
+          entry.statementCount++;
+          if (entry.statements.length < plan.sampleSize) {
+            entry.statements.push({ sql: sql.replace(/\s+/g, " "), params });
+          }
+          return;
+        }
 
-    // Process acc_users changes efficiently
-    const diffUsers = diffData.acc_users;
-
-    // Process inserts with batch operations
-    if (diffUsers?.inserts?.length > 0) {
-      // Get columns from the first row
-      const sampleRow = diffUsers.inserts[0];
-      const columns = Object.keys(sampleRow);
-
-      // First check if each record exists
-      const insertPromises = diffUsers.inserts.map(async (row) => {
-        // Check if record exists
-        const checkResult = await client.query(
-          `SELECT id FROM acc_users WHERE id = $1`,
-          [row.id]
-        );
+        try {
+          await queryWithSavepoint(client, sql, params);
+          return;
+        } catch (err) {
+          if (!isRowError(err)) throw err;
+          if (items.length === 1) {
+            deadLetter(operation, items[0], err);
+            return;
+          }
+          logger.warn(
+            `Batch of ${items.length} ${targetTable} ${operation}s failed, retrying rows one at a time: ${err.message}`
+          );
+        }
 
-        if (checkResult.rows.length > 0) {
-          // Record exists, do UPDATE
-          const updateColumns = columns.filter((col) => col !== "id");
-          const setClause = updateColumns
-            .map((col, i) => `${col} = $${i + 2}`)
-            .join(", ");
-
-          const updateQuery = `
-            UPDATE acc_users
-            SET ${setClause}
-            WHERE id = $1
-          `;
-
-          const values = [row.id, ...updateColumns.map((col) => row[col])];
-          return client.query(updateQuery, values);
-        } else {
-          // Record doesn't exist, do INSERT
-          const placeholders = columns.map((_, i) => `$${i + 1}`).join(", ");
-          const insertQuery = `
-            INSERT INTO acc_users (${columns.join(", ")})
-            VALUES (${placeholders})
-          `;
-
-          const values = columns.map((col) => row[col]);
-          return client.query(insertQuery, values);
+        for (const item of items) {
+          const statement = buildRowStatement(table, operation, item);
+          try {
+            await queryWithSavepoint(client, statement.sql, statement.params);
+          } catch (err) {
+            if (!isRowError(err)) throw err;
+            deadLetter(operation, item, err);
+          }
         }
-      });
+      };
+      const verb = entry ? "Planned" : "Processed";
+
+      if (types.includes("inserts") && tableDiff.inserts?.length > 0) {
+        // Inserts also clear the soft delete of rows that come back, unless
+        // the source provides those columns itself
+        const sourceColumns = columnsFor(tableDiff.inserts);
+        const restore = getRestoreValues(table);
+        const columns = [
+          ...sourceColumns,
+          ...Object.keys(restore).filter((col) => !sourceColumns.includes(col)),
+        ];
+        const inserts = tableDiff.inserts.map((row) => ({
+          ...restore,
+          ...row,
+        }));
+        const size = getBatchSize(batchSize, columns.length);
+
+        for (const batch of chunk(inserts, size)) {
+          await execute(
+            "insert",
+            batch.map((row) => ({ row, columns })),
+            buildUpsertQuery(targetTable, columns, primaryKey, batch.length),
+            batch.flatMap((row) => columns.map((col) => row[col]))
+          );
+        }
+        logger.info(
+          `${verb} ${tableDiff.inserts.length} ${targetTable} inserts`
+        );
+      }
 
-      await Promise.all(insertPromises);
-      logger.info(`Processed ${diffUsers.inserts.length} acc_users inserts`);
-    }
+      if (types.includes("updates") && tableDiff.updates?.length > 0) {
+        const groups = groupUpdates(tableDiff.updates, table);
+        const columnTypes =
+          groups.length > 0 ? await getColumnTypes(client, targetTable) : {};
 
-    // Process updates with batch operations
-    if (diffUsers?.updates?.length > 0) {
-      // Get columns from the first row
-      const sampleRow = diffUsers.updates[0];
-      const columns = Object.keys(sampleRow).filter((col) => col !== "id");
-
-      // Create a dynamic update query
-      const updateQuery = `
-        UPDATE acc_users
-        SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(", ")}
-        WHERE id = $1
-      `;
-
-      const updatePromises = diffUsers.updates.map((row) => {
-        const values = [row.id, ...columns.map((col) => row[col])];
-        return client.query(updateQuery, values);
-      });
-
-      await Promise.all(updatePromises);
-      logger.info(`Processed ${diffUsers.updates.length} acc_users updates`);
-    }
+        for (const { columns, rows } of groups) {
+          logger.debug(
+            `Updating ${rows.length} ${targetTable} rows: ${columns.join(", ")}`
+          );
+
+          // unnest can't pair up array columns, so those rows are updated
+          // one at a time
+          const bulk = [...keyColumns, ...columns].every(
+            (col) => columnTypes[col] && !columnTypes[col].endsWith("]")
+          );
+          if (!bulk) {
+            const updateQuery = buildUpdateQuery(
+              targetTable,
+              columns,
+              primaryKey
+            );
+            for (const row of rows) {
+              await execute("update", [{ row, columns }], updateQuery, [
+                ...keyValues(row),
+                ...columns.map((col) => row[col]),
+              ]);
+            }
+            continue;
+          }
 
-    // Process deletions with batch operations
-    if (diffUsers?.deletes?.length > 0) {
-      // Use IN clause for more efficient deletes when there are many
-      if (diffUsers.deletes.length > 10) {
-        const ids = diffUsers.deletes.map((row) => row.id);
-        await client.query(`DELETE FROM acc_users WHERE id = ANY($1)`, [ids]);
-      } else {
-        const deletePromises = diffUsers.deletes.map((row) =>
-          client.query(`DELETE FROM acc_users WHERE id = $1`, [row.id])
+          const updateQuery = buildBulkUpdateQuery(
+            targetTable,
+            columns,
+            primaryKey,
+            columnTypes
+          );
+          for (const batch of chunk(rows, batchSize)) {
+            await execute(
+              "update",
+              batch.map((row) => ({ row, columns })),
+              updateQuery,
+              [...keyColumns, ...columns].map((col) =>
+                batch.map((row) => row[col])
+              )
+            );
+          }
+        }
+        logger.info(
+          `${verb} ${tableDiff.updates.length} ${targetTable} updates`
         );
-        await Promise.all(deletePromises);
       }
-      logger.info(`Processed ${diffUsers.deletes.length} acc_users deletes`);
-    }
-  } catch (err) {
-    // Add more specific error handling
-    if (err.code === "23505") {
-      // PostgreSQL unique violation code
-      logger.error(`Duplicate key violation: ${err.detail || err.message}`);
-      // Extract the conflicting key for debugging
-      if (err.detail) {
-        const match = err.detail.match(/Key \((\w+)\)=\(([^)]+)\)/);
-        if (match) {
-          const [, column, value] = match;
-          logger.error(`Conflict on ${column} with value ${value}`);
+
+      // Deletes remove, soft-delete or archive rows by the table's strategy
+      if (types.includes("deletes") && tableDiff.deletes?.length > 0) {
+        if (keyColumns.length === 1) {
+          const deleteQuery = buildRemoveQuery(table);
+          for (const batch of chunk(tableDiff.deletes, batchSize)) {
+            await execute(
+              "delete",
+              batch.map((row) => ({ row })),
+              deleteQuery,
+              [batch.map((row) => row[keyColumns[0]])]
+            );
+          }
+        } else {
+          const size = getBatchSize(batchSize, keyColumns.length);
+          for (const batch of chunk(tableDiff.deletes, size)) {
+            await execute(
+              "delete",
+              batch.map((row) => ({ row })),
+              buildRemoveQuery(table, batch.length),
+              batch.flatMap(keyValues)
+            );
+          }
         }
+        logger.info(
+          `${verb} ${tableDiff.deletes.length} ${targetTable} deletes`
+        );
       }
-    } else {
-      logger.error(`Error in syncToWebDB: ${err.message}`);
     }
+
+    if (deadLetters.length > 0) {
+      await deadLetterQueue.recordDeadLetters(client, deadLetters);
+      logger.warn(
+        `${deadLetters.length} rows from ${source} failed to apply and were dead-lettered`
+      );
+    }
+    return deadLetters.length;
+  } catch (err) {
+    logger.error(`Error in syncToWebDB: ${err.message}`);
     throw err;
   }
 }
 
+/**
+ * Order tables so parents are written before their children, by the
+ * foreign keys between their target tables and their dependsOn settings
+ * @param {Object} client - Web database client
+ * @param {Array<Object>} tableConfigs - Tables to order
+ * @returns {Promise<Array<Object>>} Tables in dependency order
+ * @throws {Error} With code DEPENDENCY_CYCLE if the tables depend on each other
+ */
+async function orderTables(client, tableConfigs) {
+  const dependencies = tableConfigs.flatMap((table) =>
+    table.dependsOn.map((parent) => [table.name, parent])
+  );
+
+  if (tableConfigs.length > 1) {
+    const names = new Map(
+      tableConfigs.map((table) => [table.targetTable, table.name])
+    );
+    const foreignKeys = await getForeignKeys(client, [...names.keys()]);
+    for (const { table, references } of foreignKeys) {
+      dependencies.push([names.get(table), names.get(references)]);
+    }
+  }
+
+  return sortByDependencies(tableConfigs, dependencies);
+}
+
 /**
  * Create a snapshot from the current web database
+ * @param {Array<Object>} tableConfigs - Tables to read from the web database
+ * @param {Object} [options] - Snapshot options
+ * @param {boolean} [options.save=true] - Save the rows as the web snapshot;
+ *   false only reads them, e.g. during a dry run
  * @returns {Promise<Object>} The snapshot data
  */
-async function createSnapshotFromWebDB() {
-  const webDB = await dbService.getDBConnection("web");
-  const client = await webDB.connect();
+async function createSnapshotFromWebDB(
+  tableConfigs = getTableConfigs(),
+  { save = true } = {}
+) {
+  const client = await dbService.connectClient("web");
   try {
     logger.info("Creating snapshot from current web database state...");
-    const rrc_clients = (await client.query("SELECT * FROM rrc_clients")).rows;
-    const accUsers = (await client.query("SELECT * FROM acc_users")).rows;
-    const webData = {
-      rrc_clients,
-      acc_users: accUsers,
-    };
-    snapshotManager.saveSnapshot("web", webData);
+    const webData = {};
+
+    for (const table of tableConfigs) {
+      const columns = table.columns ? table.columns.join(", ") : "*";
+      const filter = getActiveRowFilter(table);
+      webData[table.name] = (
+        await client.query(
+          `SELECT ${columns} FROM ${table.targetTable}${
+            filter ? ` WHERE ${filter}` : ""
+          }`
+        )
+      ).rows;
+    }
+
+    if (save) {
+      await snapshotManager.saveSnapshot("web", webData);
+    }
     logger.info(
-      `Created snapshot with ${rrc_clients.length} rrc_clients records and ${accUsers.length} acc_users records`
+      `${save ? "Created" : "Read"} snapshot with ${tableConfigs
+        .map((table) => `${webData[table.name].length} ${table.name}`)
+        .join(", ")} records`
     );
     return webData;
   } catch (err) {
@@ -218,131 +555,468 @@ async function createSnapshotFromWebDB() {
 }
 
 /**
- * Main sync process for remote to web database
- * @returns {Promise<void>}
+ * Check whether any configured target table already holds rows
+ * @param {Object} client - Web database client
+ * @param {Array<Object>} tableConfigs - Tables to check
+ * @returns {Promise<boolean>} True if at least one table has data
  */
-async function syncRemoteToWeb() {
-  const startTime = Date.now();
-  logger.info("Starting remote to web sync process...");
-  syncStats.remote.totalSyncs++;
+async function targetHasData(client, tableConfigs) {
+  for (const table of tableConfigs) {
+    const result = await client.query(
+      `SELECT COUNT(*) FROM ${table.targetTable}`
+    );
+    if (parseInt(result.rows[0].count) > 0) {
+      return true;
+    }
+  }
+  return false;
+}
 
-  const webDB = await dbService.getDBConnection("web");
-  const client = await webDB.connect();
+/**
+ * Compute differences for every configured table
+ * @param {Object} oldSnapshot - Previous snapshot keyed by table name
+ * @param {Object} newData - Fresh source rows keyed by table name
+ * @param {Array<Object>} tableConfigs - Tables to compare
+ * @param {Object} [watermarks] - Tables fetched incrementally, which can't detect deletes
+ * @returns {Object} Diff per table and the total number of changes
+ */
+function computeTableDiffs(
+  oldSnapshot,
+  newData,
+  tableConfigs,
+  watermarks = {}
+) {
+  const diffData = {};
+  let totalChanges = 0;
+
+  for (const table of tableConfigs) {
+    const tableDiff = computeDiff(
+      oldSnapshot[table.name] || [],
+      newData[table.name] || [],
+      table.primaryKey,
+      {
+        normalize: table.normalize,
+        ignoreColumns: table.ignoreColumns,
+        detectDeletes: watermarks[table.name] === undefined,
+      }
+    );
+    diffData[table.name] = tableDiff;
 
-  try {
-    // Begin transaction
-    await client.query("BEGIN");
+    totalChanges +=
+      tableDiff.inserts.length +
+      tableDiff.updates.length +
+      tableDiff.deletes.length;
+  }
 
-    // Fetch data from remote database
-    const newData = await dbService.fetchRemoteData();
+  return { diffData, totalChanges };
+}
 
-    // Load previous snapshot for remote database
-    let oldSnapshot = snapshotManager.loadSnapshot("remote");
+/**
+ * Build the snapshot data to save in the configured snapshot format
+ * Compact snapshots keep only a key-to-hash index per table; incrementally
+ * fetched tables are merged into their previous index
+ * @param {Object} oldSnapshot - Previous snapshot
+ * @param {Object} sourceData - Current source rows keyed by table name
+ * @param {Array<Object>} tableConfigs - Tables being synced
+ * @param {Object} watermarks - Tables fetched incrementally
+ * @returns {Object} Snapshot tables keyed by table name
+ */
+function buildSnapshotData(oldSnapshot, sourceData, tableConfigs, watermarks) {
+  if (snapshotManager.format !== "compact") {
+    return sourceData;
+  }
 
-    // Check if web database has data but we don't have a snapshot
-    if (!oldSnapshot || Object.keys(oldSnapshot).length === 0) {
-      logger.info(
-        "No valid previous snapshot found for remote, checking web database..."
-      );
+  const snapshotData = {};
+  for (const table of tableConfigs) {
+    const index = buildHashIndex(
+      sourceData[table.name] || [],
+      table.primaryKey,
+      { normalize: table.normalize, ignoreColumns: table.ignoreColumns }
+    );
 
-      // Check if web database already has data
-      const checkExistingData = await client.query(
-        "SELECT COUNT(*) FROM rrc_clients"
-      );
-      const hasExistingData = parseInt(checkExistingData.rows[0].count) > 0;
+    const previous = oldSnapshot[table.name];
+    snapshotData[table.name] =
+      watermarks[table.name] !== undefined && isHashIndex(previous)
+        ? { ...previous, ...index }
+        : index;
+  }
+  return snapshotData;
+}
 
-      if (hasExistingData) {
-        logger.info(
-          "Web database already contains data but no valid snapshot exists for remote."
-        );
-        oldSnapshot = await createSnapshotFromWebDB();
-        logger.info("Snapshot created from web database.");
+/**
+ * Count the rows of a table in a snapshot
+ * @param {Array|Object|undefined} data - Snapshot rows or hash index
+ * @returns {number} Row count
+ */
+function countSnapshotRows(data) {
+  if (!data) return 0;
+  return Array.isArray(data) ? data.length : Object.keys(data).length;
+}
 
-        // Set default empty arrays for tables that don't exist in the snapshot
-        ["rrc_clients", "acc_users"].forEach((table) => {
-          if (!oldSnapshot[table]) {
-            oldSnapshot[table] = [];
-          }
-        });
+/**
+ * Hold a source's changes for approval instead of applying them
+ * A changeset keeps its id while later syncs find the same changes, so it
+ * can be approved between sync runs; different changes replace it
+ * @param {string} sourceDbKey - Source database key
+ * @param {string} targetDbKey - Target database key
+ * @param {Object} tables - Held tables, with their change counts, the limits
+ *   exceeded and sample rows
+ * @param {Object} approved - Changes the sync had approved, which stay
+ *   approved along with the changeset
+ * @param {Object} stats - Sync stats of the source
+ * @returns {Object} Sync result with the pending changeset
+ */
+function holdChangeset(sourceDbKey, targetDbKey, tables, approved, stats) {
+  const summarize = (held) =>
+    JSON.stringify(
+      Object.entries(held).map(([name, t]) => [name, t.updates, t.deletes])
+    );
 
-        // Save this as the remote snapshot too for future comparisons
-        snapshotManager.saveSnapshot("remote", oldSnapshot);
-      } else {
-        logger.info(
-          "No data in web database and no previous snapshot for remote. Starting with empty data."
+  const previous = pendingChangesets[sourceDbKey];
+  const changeset =
+    previous && summarize(previous.tables) === summarize(tables)
+      ? { ...previous, tables, approved, updatedAt: new Date() }
+      : {
+          id: crypto.randomUUID(),
+          source: sourceDbKey,
+          target: targetDbKey,
+          tables,
+          approved,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+  pendingChangesets[sourceDbKey] = changeset;
+  stats.heldSyncs++;
+
+  const message = `Sync held for approval: ${Object.entries(tables)
+    .map(([name, t]) => `${name} ${t.exceeded.join(", ")}`)
+    .join("; ")}`;
+  logger.warn(`${sourceDbKey} to ${targetDbKey}: ${message}`);
+
+  return {
+    success: false,
+    status: "needs_approval",
+    message,
+    error: message,
+    changeset,
+  };
+}
+
+// Column names are written unquoted, so new ones must be plain identifiers
+const COLUMN_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Compare a table's source result with its target table before writing and
+ * apply the table's schema drift policy:
+ * - "fail" stops the sync when the source has columns the target lacks
+ * - "ignore" leaves columns the target lacks out of the writes
+ * - "add" adds columns the target lacks as nullable columns
+ * Columns missing from the source or with another type are only reported,
+ * as the target may have defaults for them or PostgreSQL may convert them
+ * @param {Object} client - Target database client with transaction
+ * @param {Object} table - Table configuration
+ * @param {Array<Object>} rows - Source rows, with column metadata if available
+ * @param {boolean} [dryRun] - Report the drift without altering the target
+ * @returns {Promise<Object>} The table configuration to write with, and the
+ *   drift found as { added, removed, retyped, policy } or null
+ */
+async function checkSchemaDrift(client, table, rows, dryRun = false) {
+  const sourceColumns = describeSourceColumns(rows);
+  if (sourceColumns.length === 0) {
+    return { table, drift: null };
+  }
+
+  // information_schema only lists columns the user has privileges on
+  const targetColumns = await getTargetColumns(client, table.targetTable);
+  if (targetColumns.length === 0) {
+    logger.warn(
+      `No columns found for target table ${table.targetTable}, skipping the schema check of ${table.name}`
+    );
+    return { table, drift: null };
+  }
+
+  const { added, removed, retyped } = compareColumns(
+    sourceColumns,
+    targetColumns
+  );
+  const drift = {
+    added: added.map((column) => column.name),
+    // With configured columns the other target columns aren't synced
+    // anyway, and soft delete columns are only written by the sync
+    removed: table.columns
+      ? []
+      : removed.filter(
+          (name) =>
+            name !== table.deleteStrategy.deletedAtColumn &&
+            name !== table.deleteStrategy.activeColumn
+        ),
+    retyped,
+    policy: table.schemaDrift,
+  };
+  if (
+    drift.added.length === 0 &&
+    drift.removed.length === 0 &&
+    retyped.length === 0
+  ) {
+    return { table, drift: null };
+  }
+
+  const summary = [
+    drift.added.length > 0 && `added ${drift.added.join(", ")}`,
+    drift.removed.length > 0 && `removed ${drift.removed.join(", ")}`,
+    retyped.length > 0 &&
+      `retyped ${retyped
+        .map((col) => `${col.name} (${col.source} -> ${col.target})`)
+        .join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+  const message = `Schema drift in ${table.name} (target table ${table.targetTable}): ${summary}`;
+
+  if (table.schemaDrift === "fail" && added.length > 0) {
+    const error = new Error(message);
+    error.code = "SCHEMA_DRIFT";
+    error.drift = drift;
+    throw error;
+  }
+  logger.warn(message);
+
+  if (added.length === 0) {
+    return { table, drift };
+  }
+
+  if (table.schemaDrift === "add") {
+    for (const column of added) {
+      if (!COLUMN_NAME_PATTERN.test(column.name)) {
+        throw new Error(
+          `Can't add column '${column.name}' to ${table.targetTable}: not a plain identifier`
+        );
+      }
+      if (!dryRun) {
+        await client.query(
+          `ALTER TABLE ${table.targetTable} ADD COLUMN IF NOT EXISTS ${column.name} ${column.postgresType}`
         );
-        oldSnapshot = { rrc_clients: [], acc_users: [] };
       }
+      logger.info(
+        `${dryRun ? "Would add" : "Added"} column ${column.name} ${
+          column.postgresType
+        } to ${table.targetTable}`
+      );
     }
+    return { table, drift };
+  }
+
+  // Leave the columns the target lacks out of the writes
+  const skipped = new Set(drift.added);
+  return {
+    table: {
+      ...table,
+      columns: sourceColumns
+        .map((column) => column.name)
+        .filter((name) => !skipped.has(name)),
+    },
+    drift,
+  };
+}
 
-    // Compute differences efficiently
-    const diffRrcClients = computeDiff(
-      oldSnapshot.rrc_clients || [],
-      newData.rrc_clients || [],
-      "code"
+/**
+ * Sync the inserts and updates of a streaming table by merge-joining
+ * key-ordered source pages against its row stream snapshot, writing them in
+ * page-sized batches as they are found so memory use doesn't depend on the
+ * table size. Deletes are only counted here, and written by
+ * deleteStreamedRows once the tables depending on this one have been written
+ * @param {string} sourceDbKey - Source database key
+ * @param {Object} table - Table configuration
+ * @param {Object} client - Web database client with transaction
+ * @param {Object} [plan] - Dry-run plan to record changes in instead of writing them
+ * @returns {Promise<Object>} Number of changes, change counts by type with
+ *   the previous row count, sample updates and deletes, dead-lettered rows,
+ *   any schema drift, the table as checked against the target schema, and
+ *   the pending row stream writer
+ */
+async function syncStreamingTable(sourceDbKey, table, client, plan = null) {
+  const { pageSize, limitStyle } = table.streaming;
+  const writer = snapshotManager.createTableStreamWriter(
+    sourceDbKey,
+    table.name
+  );
+
+  // The schema is checked against the first page, which also decides the
+  // columns written
+  let target = table;
+  let drift = null;
+
+  // Copy every source row into the new row stream as it passes to the diff
+  async function* sourceRows() {
+    const pages = dbService.fetchPages(
+      sourceDbKey,
+      table,
+      pageSize,
+      limitStyle
     );
+    let checked = false;
+    for await (const page of pages) {
+      if (!checked) {
+        ({ table: target, drift } = await checkSchemaDrift(
+          client,
+          table,
+          page,
+          plan !== null
+        ));
+        checked = true;
+      }
+      for (const row of page) {
+        await writer.write(row);
+        yield row;
+      }
+    }
+  }
+
+  const emptyBatch = () => ({ inserts: [], updates: [] });
+  let batch = emptyBatch();
+  let batchSize = 0;
+  let deadLettered = 0;
+  const counts = { inserts: 0, updates: 0, deletes: 0, previousRows: 0 };
+  const samples = { updates: [], deletes: [] };
+
+  // Count the previous rows for the change limits
+  async function* snapshotRows() {
+    const rows = snapshotManager.readTableStream(sourceDbKey, table.name);
+    for await (const row of rows) {
+      counts.previousRows++;
+      yield row;
+    }
+  }
 
-    const diffAccUsers = computeDiff(
-      oldSnapshot.acc_users || [],
-      newData.acc_users || [],
-      "id"
+  const flush = async () => {
+    if (batchSize === 0) return;
+    deadLettered += await syncToWebDB(
+      { [table.name]: batch },
+      client,
+      [target],
+      {
+        source: sourceDbKey,
+        plan,
+        types: ["inserts", "updates"],
+      }
     );
+    batch = emptyBatch();
+    batchSize = 0;
+  };
 
-    const diffData = {
-      rrc_clients: diffRrcClients,
-      acc_users: diffAccUsers,
-    };
+  try {
+    const diff = streamDiff(snapshotRows(), sourceRows(), table.primaryKey, {
+      normalize: table.normalize,
+      ignoreColumns: table.ignoreColumns,
+    });
+
+    for await (const { type, entry } of diff) {
+      counts[type]++;
+      if (samples[type] && samples[type].length < CHANGESET_SAMPLE_SIZE) {
+        samples[type].push(entry);
+      }
+      if (type === "deletes") continue;
 
-    // Check if there are any changes
-    const totalChanges =
-      diffRrcClients.inserts.length +
-      diffRrcClients.updates.length +
-      diffRrcClients.deletes.length +
-      diffAccUsers.inserts.length +
-      diffAccUsers.updates.length +
-      diffAccUsers.deletes.length;
+      batch[type].push(entry);
+      batchSize++;
+      if (batchSize >= pageSize) {
+        await flush();
+      }
+    }
+    await flush();
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
 
-    if (totalChanges === 0) {
-      logger.info(
-        "No changes detected in remote data, skipping database update"
-      );
-    } else {
-      logger.info(
-        `Detected ${totalChanges} changes from remote, updating web database`
-      );
-      // Update the web DB with detected changes
-      await syncToWebDB(diffData, client);
+  const changes = counts.inserts + counts.updates + counts.deletes;
+  logger.info(`Streamed ${table.name} from ${sourceDbKey}: ${changes} changes`);
+  return { changes, counts, samples, deadLettered, drift, target, writer };
+}
 
-      // Save the new snapshot ONLY after successful sync
-      snapshotManager.saveSnapshot("remote", newData);
-      logger.info("New remote snapshot saved successfully");
+/**
+ * Write the deletes of a streaming table, found by merge-joining its row
+ * stream snapshot against the rows syncStreamingTable just wrote to the new
+ * row stream, so the source isn't read a second time
+ * @param {string} sourceDbKey - Source database key
+ * @param {Object} table - Table configuration, as checked against the target
+ * @param {Object} client - Web database client with transaction
+ * @param {Object} writer - Pending row stream writer of the table
+ * @param {Object} [plan] - Dry-run plan to record changes in instead of writing them
+ * @returns {Promise<number>} Number of rows that failed and were dead-lettered
+ */
+async function deleteStreamedRows(
+  sourceDbKey,
+  table,
+  client,
+  writer,
+  plan = null
+) {
+  const { pageSize } = table.streaming;
+  let deletes = [];
+  let deadLettered = 0;
+
+  const flush = async () => {
+    if (deletes.length === 0) return;
+    deadLettered += await syncToWebDB(
+      { [table.name]: { deletes } },
+      client,
+      [table],
+      { source: sourceDbKey, plan, types: ["deletes"] }
+    );
+    deletes = [];
+  };
+
+  const diff = streamDiff(
+    snapshotManager.readTableStream(sourceDbKey, table.name),
+    writer.rows(),
+    table.primaryKey,
+    { normalize: table.normalize, ignoreColumns: table.ignoreColumns }
+  );
+  for await (const { type, entry } of diff) {
+    if (type !== "deletes") continue;
+
+    deletes.push(entry);
+    if (deletes.length >= pageSize) {
+      await flush();
     }
+  }
+  await flush();
 
-    // Commit the transaction
-    await client.query("COMMIT");
+  return deadLettered;
+}
 
-    // Update stats
-    syncStats.remote.successfulSyncs++;
-    syncStats.remote.lastSuccessTime = new Date();
+/**
+ * Main sync process for remote to web database
+ * @returns {Promise<Object>} Sync results
+ */
+async function syncRemoteToWeb() {
+  const result = await syncBetweenDatabases("remote", "web");
 
-    const duration = Date.now() - startTime;
-    syncStats.remote.totalDuration += duration;
-    syncStats.remote.averageDuration =
-      syncStats.remote.totalDuration / syncStats.remote.successfulSyncs;
-    logger.info(`Remote to web sync process complete. Duration: ${duration}ms`);
-  } catch (err) {
-    // Rollback on error
-    await client.query("ROLLBACK");
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
 
-    syncStats.remote.failedSyncs++;
-    syncStats.remote.lastErrorTime = new Date();
-    syncStats.remote.lastError = err.message;
-    logger.error(`Remote to web sync process failed: ${err.message}`);
-    throw err;
-  } finally {
-    client.release();
-    syncStats.remote.lastSyncTime = new Date();
+/**
+ * Sync every source database that has tables configured, one at a time
+ * @param {string} [targetDbKey] - Target database key
+ * @param {Object} [options] - Options passed to each sync, e.g. { dryRun }
+ * @returns {Promise<Object>} Sync results keyed by source database
+ */
+async function syncAllSources(targetDbKey = "web", options = {}) {
+  const sources = [...new Set(getTableConfigs().map((table) => table.source))];
+  const results = {};
+
+  for (const sourceDbKey of sources) {
+    results[sourceDbKey] = await syncBetweenDatabases(
+      sourceDbKey,
+      targetDbKey,
+      options
+    );
   }
+  return results;
 }
 
 /**
@@ -350,32 +1024,79 @@ async function syncRemoteToWeb() {
  * @param {string} sourceDbKey - Source database key
  * @param {string} targetDbKey - Target database key
  * @param {Object} options - Options for sync (tables, etc.)
+ * @param {Array<string>} [options.tables] - Table names to sync instead of every table of the source
+ * @param {boolean} [options.dryRun] - Fetch and diff only, reporting per-table
+ *   changes, sample rows and the statements that would run, without writing
+ *   to the target or saving snapshots
+ * @param {number} [options.sampleSize] - Sample rows and statements per table in a dry run
+ * @param {Object} [options.approved] - Changes approved per table as
+ *   { updates, deletes }, applied even past the table's change limits
  * @returns {Promise<Object>} - Sync results
  */
 async function syncBetweenDatabases(sourceDbKey, targetDbKey, options = {}) {
   const startTime = Date.now();
-  const tables = options.tables || [];
-
-  logger.info(`Starting sync from ${sourceDbKey} to ${targetDbKey}...`);
-
-  // Initialize stats for this source if they don't exist
-  if (!syncStats[sourceDbKey]) {
-    syncStats[sourceDbKey] = {
-      totalSyncs: 0,
-      successfulSyncs: 0,
-      failedSyncs: 0,
-      lastSyncTime: null,
-      lastSuccessTime: null,
-      lastErrorTime: null,
-      lastError: null,
-      averageDuration: 0,
-      totalDuration: 0,
+  const dryRun = options.dryRun === true;
+  const approved = options.approved || {};
+  const plan = dryRun
+    ? { sampleSize: options.sampleSize ?? 5, tables: {} }
+    : null;
+
+  // Dry runs don't count towards the sync stats
+  const stats = dryRun ? createStats() : getStats(sourceDbKey);
+
+  // Syncs of one source would overwrite each other's snapshot, and a
+  // reconciliation may be repairing the same rows. Dry runs save nothing and
+  // stream rows to temporary files of their own, so they can run alongside
+  const busy = runningSyncs.has(sourceDbKey)
+    ? "a sync"
+    : runningReconciliations.has(sourceDbKey)
+    ? "a reconciliation"
+    : null;
+  if (!dryRun && busy) {
+    const message = `Sync skipped: ${busy} from ${sourceDbKey} is already running`;
+    stats.skippedSyncs++;
+    logger.warn(`${sourceDbKey} to ${targetDbKey}: ${message}`);
+
+    return {
+      success: false,
+      status: "skipped",
+      message,
+      error: message,
+    };
+  }
+
+  // Skip quickly while the source or target is known to be unreachable
+  const unavailable = [sourceDbKey, targetDbKey].find((dbKey) =>
+    dbService.isCircuitOpen(dbKey)
+  );
+  if (unavailable) {
+    const message = `Sync skipped: ${unavailable} is unavailable, waiting for its circuit to allow a retry`;
+    stats.skippedSyncs++;
+    stats.lastSyncTime = new Date();
+    logger.debug(`${sourceDbKey} to ${targetDbKey}: ${message}`);
+
+    return {
+      success: false,
+      status: "degraded",
+      message,
+      error: message,
     };
   }
 
-  syncStats[sourceDbKey].totalSyncs++;
+  const mode = dryRun ? "dry run" : "sync";
+  logger.info(`Starting ${mode} from ${sourceDbKey} to ${targetDbKey}...`);
+
+  stats.totalSyncs++;
+  if (!dryRun) {
+    runningSyncs.add(sourceDbKey);
+  }
 
   try {
+    // Tables default to every table configured for the source
+    const selectedTables = options.tables
+      ? options.tables.map(getTableConfig)
+      : getTableConfigs(sourceDbKey);
+
     // For now, we only support syncing TO web database
     // This could be extended to sync between any databases in the future
     if (targetDbKey !== "web") {
@@ -384,32 +1105,27 @@ async function syncBetweenDatabases(sourceDbKey, targetDbKey, options = {}) {
       );
     }
 
-    // Set up source data fetching based on the source database key
-    let sourceData;
-    let fetchFunc;
+    // Get target database connection
+    const client = await dbService.connectClient(targetDbKey);
+    const streamWriters = [];
+    let committed = false;
 
-    if (sourceDbKey === "remote") {
-      fetchFunc = dbService.fetchRemoteData;
-    } else {
-      // Set up a custom fetch function for other databases
-      fetchFunc = async () => {
-        throw new Error(`Fetching from ${sourceDbKey} is not implemented yet.`);
-      };
-    }
+    // Snapshots kept in the target database commit with the data changes
+    const snapshotOptions = { client, database: targetDbKey };
 
-    // Fetch the source data
-    sourceData = await fetchFunc();
+    try {
+      // Begin transaction, read-only as a safeguard during a dry run
+      await client.query(dryRun ? "BEGIN READ ONLY" : "BEGIN");
 
-    // Get target database connection
-    const targetDB = await dbService.getDBConnection(targetDbKey);
-    const client = await targetDB.connect();
+      // Apply parent tables before their children
+      const tableConfigs = await orderTables(client, selectedTables);
 
-    try {
-      // Begin transaction
-      await client.query("BEGIN");
+      // Streaming tables are diffed page by page instead of held in memory
+      const streamingTables = tableConfigs.filter((table) => table.streaming);
+      const memoryTables = tableConfigs.filter((table) => !table.streaming);
 
       // Load previous snapshot for source database
-      let oldSnapshot = snapshotManager.loadSnapshot(sourceDbKey);
+      let oldSnapshot = await snapshotManager.loadSnapshot(sourceDbKey);
 
       // If no snapshot exists, check if target DB has data
       if (!oldSnapshot || Object.keys(oldSnapshot).length === 0) {
@@ -417,101 +1133,326 @@ async function syncBetweenDatabases(sourceDbKey, targetDbKey, options = {}) {
           `No valid previous snapshot found for ${sourceDbKey}, checking ${targetDbKey} database...`
         );
 
-        // Set default empty data for tables
-        const emptySnapshot = {};
-        tables.forEach((table) => {
-          emptySnapshot[table] = [];
-        });
-
         // If target is web, we can create snapshot from it
         if (targetDbKey === "web") {
           // Check if web has data
-          const checkExistingData = await client.query(
-            "SELECT COUNT(*) FROM rrc_clients"
-          );
-          const hasExistingData = parseInt(checkExistingData.rows[0].count) > 0;
+          const hasExistingData = await targetHasData(client, memoryTables);
 
           if (hasExistingData) {
             logger.info(
               `${targetDbKey} database contains data but no valid snapshot exists for ${sourceDbKey}.`
             );
             // For web, we can create snapshot
-            oldSnapshot = await createSnapshotFromWebDB();
+            // Dry runs read the target without saving any snapshot
+            oldSnapshot = await createSnapshotFromWebDB(memoryTables, {
+              save: !dryRun,
+            });
             logger.info(`Snapshot created from ${targetDbKey} database.`);
 
             // Save this as source snapshot for future comparisons
-            snapshotManager.saveSnapshot(sourceDbKey, oldSnapshot);
+            if (!dryRun) {
+              await snapshotManager.saveSnapshot(
+                sourceDbKey,
+                oldSnapshot,
+                "full",
+                snapshotOptions
+              );
+            }
           } else {
             logger.info(
               `No data in ${targetDbKey} database and no previous snapshot for ${sourceDbKey}. Starting with empty data.`
             );
-            oldSnapshot = emptySnapshot;
+            oldSnapshot = {};
           }
         } else {
           // For other dbs, just use empty data
           logger.info(
             `No previous snapshot found for ${sourceDbKey}. Starting with empty data.`
           );
-          oldSnapshot = emptySnapshot;
+          oldSnapshot = {};
         }
       }
 
+      // Switching snapshot format needs one full read of incremental tables
+      const formatChanged =
+        snapshotManager.getSnapshotFormat(oldSnapshot) !==
+        snapshotManager.format;
+
+      // Fetch the source data, incremental tables only from their watermark
+      const watermarks = formatChanged
+        ? {}
+        : getIncrementalWatermarks(oldSnapshot, memoryTables);
+      const fetchedData = await dbService.fetchSourceData(
+        sourceDbKey,
+        memoryTables,
+        watermarks
+      );
+      const sourceData = mergeIncrementalRows(
+        oldSnapshot,
+        fetchedData,
+        memoryTables,
+        watermarks
+      );
+      const watermarkState = buildWatermarkState(
+        oldSnapshot,
+        fetchedData,
+        memoryTables,
+        watermarks
+      );
+      const watermarksChanged =
+        JSON.stringify(watermarkState) !==
+        JSON.stringify(oldSnapshot[WATERMARK_KEY] || {});
+
       // Compute differences for each table
-      const diffData = {};
-      let totalChanges = 0;
+      const { diffData, totalChanges: memoryChanges } = computeTableDiffs(
+        oldSnapshot,
+        sourceData,
+        memoryTables,
+        watermarks
+      );
 
-      tables.forEach((table) => {
-        // Initialize with empty arrays if missing in either snapshot
-        const oldTable = oldSnapshot[table] || [];
-        const newTable = sourceData[table] || [];
+      // Hold the changes for approval when a table changes more than its
+      // limits allow, e.g. deletes of every row after an empty source result
+      const held = {};
+      for (const table of memoryTables) {
+        const { inserts, updates, deletes } = diffData[table.name];
+        const counts = {
+          inserts: inserts.length,
+          updates: updates.length,
+          deletes: deletes.length,
+          previousRows: countSnapshotRows(oldSnapshot[table.name]),
+        };
+        const exceeded = checkChangeLimits(table, counts, approved[table.name]);
+        if (exceeded.length > 0) {
+          held[table.name] = {
+            ...counts,
+            exceeded,
+            samples: {
+              updates: updates.slice(0, CHANGESET_SAMPLE_SIZE),
+              deletes: deletes.slice(0, CHANGESET_SAMPLE_SIZE),
+            },
+          };
+        }
+      }
+
+      if (!dryRun && Object.keys(held).length > 0) {
+        await client.query("ROLLBACK");
+        return holdChangeset(sourceDbKey, targetDbKey, held, approved, stats);
+      }
+
+      let deadLettered = 0;
+      const schemaDrift = {};
+      const writeTables = new Map();
+      if (memoryChanges > 0) {
+        logger.info(
+          `Detected ${memoryChanges} changes from ${sourceDbKey}, updating ${targetDbKey} database`
+        );
+
+        // Check the schema of tables with changes before writing them
+        for (const table of memoryTables) {
+          const { inserts, updates, deletes } = diffData[table.name];
+          if (inserts.length + updates.length + deletes.length === 0) {
+            continue;
+          }
+
+          const checked = await checkSchemaDrift(
+            client,
+            table,
+            fetchedData[table.name] || [],
+            dryRun
+          );
+          writeTables.set(table.name, checked.table);
+          if (checked.drift) schemaDrift[table.name] = checked.drift;
+        }
+      }
+
+      // Inserts and updates go parents first across every table, streaming
+      // tables writing theirs while they are diffed
+      let totalChanges = memoryChanges;
+      const streamedTables = new Map();
+      for (const table of tableConfigs) {
+        if (writeTables.has(table.name)) {
+          deadLettered += await syncToWebDB(
+            diffData,
+            client,
+            [writeTables.get(table.name)],
+            { source: sourceDbKey, plan, types: ["inserts", "updates"] }
+          );
+        }
+        if (!table.streaming) continue;
+
+        const streamed = await syncStreamingTable(
+          sourceDbKey,
+          table,
+          client,
+          plan
+        );
+        streamedTables.set(table.name, streamed);
+        streamWriters.push(streamed.writer);
+        totalChanges += streamed.changes;
+        deadLettered += streamed.deadLettered;
+        if (streamed.drift) schemaDrift[table.name] = streamed.drift;
+
+        // Streamed changes are only checked once written, so they are
+        // rolled back with the rest if the table is held
+        const exceeded = checkChangeLimits(
+          table,
+          streamed.counts,
+          approved[table.name]
+        );
+        if (exceeded.length > 0) {
+          held[table.name] = {
+            ...streamed.counts,
+            exceeded,
+            samples: streamed.samples,
+          };
+        }
+      }
 
-        // Determine primary key for the table
-        let primaryKey = "id";
-        if (table === "rrc_clients") primaryKey = "code";
+      if (!dryRun && Object.keys(held).length > 0) {
+        await client.query("ROLLBACK");
+        streamWriters.forEach((writer) => writer.abort());
+        return holdChangeset(sourceDbKey, targetDbKey, held, approved, stats);
+      }
 
-        // Compute differences
-        const tableDiff = computeDiff(oldTable, newTable, primaryKey);
-        diffData[table] = tableDiff;
+      // Deletes go children first
+      for (const table of [...tableConfigs].reverse()) {
+        if (writeTables.has(table.name)) {
+          deadLettered += await syncToWebDB(
+            diffData,
+            client,
+            [writeTables.get(table.name)],
+            { source: sourceDbKey, plan, types: ["deletes"] }
+          );
+        }
 
-        // Add to total changes count
-        totalChanges +=
-          tableDiff.inserts.length +
-          tableDiff.updates.length +
-          tableDiff.deletes.length;
-      });
+        const streamed = streamedTables.get(table.name);
+        if (streamed && streamed.counts.deletes > 0) {
+          deadLettered += await deleteStreamedRows(
+            sourceDbKey,
+            streamed.target,
+            client,
+            streamed.writer,
+            plan
+          );
+        }
+      }
 
       // Check if there are any changes
       if (totalChanges === 0) {
         logger.info(
           `No changes detected from ${sourceDbKey}, skipping database update`
         );
-      } else {
+      }
+
+      if (dryRun) {
+        await client.query("ROLLBACK");
+        streamWriters.forEach((writer) => writer.abort());
+
+        const duration = Date.now() - startTime;
         logger.info(
-          `Detected ${totalChanges} changes from ${sourceDbKey}, updating ${targetDbKey} database`
+          `${sourceDbKey} to ${targetDbKey} dry run complete: ${totalChanges} changes. Duration: ${duration}ms`
         );
 
-        // For web target, use syncToWebDB
-        if (targetDbKey === "web") {
-          await syncToWebDB(diffData, client);
+        return {
+          success: true,
+          status: "success",
+          dryRun: true,
+          message: `Dry run found ${totalChanges} changes in ${duration}ms`,
+          totalChanges,
+          duration,
+          tables: plan.tables,
+          schemaDrift,
+          needsApproval: held,
+        };
+      }
+
+      // Save the new snapshot ONLY after successful sync
+      const saveSourceSnapshot = async () => {
+        if (memoryChanges > 0 || watermarksChanged || formatChanged) {
+          // Tables of the source outside this sync keep their snapshot,
+          // unless it is in the old format
+          const otherTables = formatChanged
+            ? []
+            : getTableConfigs(sourceDbKey).filter(
+                (table) =>
+                  !table.streaming &&
+                  !memoryTables.includes(table) &&
+                  oldSnapshot[table.name] !== undefined
+              );
+
+          await snapshotManager.saveSnapshot(
+            sourceDbKey,
+            {
+              ...Object.fromEntries(
+                otherTables.map((table) => [
+                  table.name,
+                  oldSnapshot[table.name],
+                ])
+              ),
+              ...buildSnapshotData(
+                oldSnapshot,
+                sourceData,
+                memoryTables,
+                watermarks
+              ),
+              [WATERMARK_KEY]: watermarkState,
+            },
+            snapshotManager.format,
+            snapshotOptions
+          );
+          if (
+            snapshotManager.format === "compact" &&
+            snapshotManager.archiveRows
+          ) {
+            await snapshotManager.saveRowArchive(
+              sourceDbKey,
+              sourceData,
+              snapshotOptions
+            );
+          }
+          logger.info(`New ${sourceDbKey} snapshot saved successfully`);
         }
+      };
 
-        // Save the new snapshot ONLY after successful sync
-        snapshotManager.saveSnapshot(sourceDbKey, sourceData);
-        logger.info(`New ${sourceDbKey} snapshot saved successfully`);
+      // The target is committed before the row streams and the snapshot
+      // record its changes, so a failed COMMIT never leaves a snapshot ahead
+      // of the target. A snapshot stored in the target commits with it
+      const snapshotInTransaction =
+        snapshotManager.joinsTransaction(snapshotOptions);
+      if (snapshotInTransaction) {
+        await saveSourceSnapshot();
       }
 
-      // Commit the transaction
       await client.query("COMMIT");
+      committed = true;
+
+      for (const writer of streamWriters) {
+        await writer.commit();
+      }
+      if (!snapshotInTransaction) {
+        await saveSourceSnapshot();
+      }
+
+      // A pending changeset is settled once its tables sync within limits
+      const pending = pendingChangesets[sourceDbKey];
+      if (
+        pending &&
+        Object.keys(pending.tables).every((name) =>
+          tableConfigs.some((table) => table.name === name)
+        )
+      ) {
+        delete pendingChangesets[sourceDbKey];
+      }
 
       // Update stats
-      syncStats[sourceDbKey].successfulSyncs++;
-      syncStats[sourceDbKey].lastSuccessTime = new Date();
+      stats.successfulSyncs++;
+      stats.lastSuccessTime = new Date();
+      stats.deadLetteredRows += deadLettered;
 
       const duration = Date.now() - startTime;
-      syncStats[sourceDbKey].totalDuration += duration;
-      syncStats[sourceDbKey].averageDuration =
-        syncStats[sourceDbKey].totalDuration /
-        syncStats[sourceDbKey].successfulSyncs;
+      stats.totalDuration += duration;
+      stats.averageDuration = stats.totalDuration / stats.successfulSyncs;
 
       logger.info(
         `${sourceDbKey} to ${targetDbKey} sync process complete. Duration: ${duration}ms`
@@ -519,33 +1460,428 @@ async function syncBetweenDatabases(sourceDbKey, targetDbKey, options = {}) {
 
       return {
         success: true,
-        message: `Sync completed successfully in ${duration}ms`,
+        status: "success",
+        message:
+          deadLettered > 0
+            ? `Sync completed in ${duration}ms with ${deadLettered} dead-lettered rows`
+            : `Sync completed successfully in ${duration}ms`,
         totalChanges,
+        deadLettered,
+        schemaDrift,
         duration,
       };
     } catch (err) {
-      // Rollback on error
-      await client.query("ROLLBACK");
+      // Rollback on error, unless the changes were already committed
+      if (!committed) {
+        await client.query("ROLLBACK");
+      }
+      streamWriters.forEach((writer) => writer.abort());
       throw err;
     } finally {
       client.release();
     }
   } catch (err) {
-    syncStats[sourceDbKey].failedSyncs++;
-    syncStats[sourceDbKey].lastErrorTime = new Date();
-    syncStats[sourceDbKey].lastError = err.message;
+    stats.failedSyncs++;
+    stats.lastErrorTime = new Date();
+    stats.lastError = err.message;
     logger.error(
       `${sourceDbKey} to ${targetDbKey} sync process failed: ${err.message}`
     );
 
     return {
       success: false,
+      status: "failed",
       message: `Sync failed: ${err.message}`,
       error: err.message,
     };
   } finally {
-    syncStats[sourceDbKey].lastSyncTime = new Date();
+    stats.lastSyncTime = new Date();
+    if (!dryRun) {
+      runningSyncs.delete(sourceDbKey);
+    }
+  }
+}
+
+/**
+ * Check whether a sync from a source database is in progress
+ * @param {string} sourceDbKey - Source database key
+ * @returns {boolean} True while a sync is running
+ */
+function isSyncRunning(sourceDbKey) {
+  return runningSyncs.has(sourceDbKey);
+}
+
+/**
+ * List the changesets held for approval
+ * @returns {Array<Object>} Pending changesets, one per source at most
+ */
+function getPendingChangesets() {
+  return Object.values(pendingChangesets);
+}
+
+/**
+ * Find a pending changeset by id
+ * @param {string} id - Changeset id
+ * @returns {Object} Pending changeset
+ */
+function findChangeset(id) {
+  const changeset = Object.values(pendingChangesets).find(
+    (pending) => pending.id === id
+  );
+
+  if (!changeset) {
+    const error = new Error(`Changeset not found: ${id}`);
+    error.code = "CHANGESET_NOT_FOUND";
+    throw error;
+  }
+  return changeset;
+}
+
+/**
+ * Approve a held changeset and sync its source right away
+ * The sync reads the source again, and applies the held tables' updates and
+ * deletes as long as there are no more of them than were approved. Tables
+ * approved earlier stay approved if another table holds the sync again
+ * @param {string} id - Changeset id
+ * @returns {Promise<Object>} Result of the sync
+ */
+async function approveChangeset(id) {
+  const changeset = findChangeset(id);
+
+  if (runningSyncs.has(changeset.source)) {
+    const error = new Error(
+      `A sync from ${changeset.source} is running, try again when it finishes`
+    );
+    error.code = "SYNC_RUNNING";
+    throw error;
+  }
+
+  const approved = { ...changeset.approved };
+  for (const [name, held] of Object.entries(changeset.tables)) {
+    approved[name] = { updates: held.updates, deletes: held.deletes };
+  }
+
+  logger.info(`Changeset ${id} from ${changeset.source} approved`);
+  return syncBetweenDatabases(changeset.source, changeset.target, {
+    approved,
+  });
+}
+
+/**
+ * Reject a held changeset, discarding it without applying any changes
+ * Later syncs hold their changes again while they still exceed the limits
+ * @param {string} id - Changeset id
+ * @returns {Object} The rejected changeset
+ */
+function rejectChangeset(id) {
+  const changeset = findChangeset(id);
+  delete pendingChangesets[changeset.source];
+
+  logger.info(`Changeset ${id} from ${changeset.source} rejected`);
+  return changeset;
+}
+
+/**
+ * Compare one table of the target directly against the source, rather than
+ * against the snapshot, to find changes made to the target behind the
+ * sync's back. Both sides are read in primary key order one page (key
+ * range) at a time, hashed with the table's normalization and merge-joined,
+ * so memory use doesn't depend on the table size
+ * @param {string} sourceDbKey - Source database key
+ * @param {Object} table - Table configuration
+ * @param {Object} [options] - Reconciliation options
+ * @param {boolean} [options.repair] - Write the source rows over mismatches,
+ *   only honoured for tables with reconcile.repair enabled
+ * @param {number} [options.sampleSize] - Sample rows kept per kind of mismatch
+ * @returns {Promise<Object>} Row counts, mismatch counts and samples
+ */
+async function reconcileTable(sourceDbKey, table, options = {}) {
+  const startTime = Date.now();
+  const { pageSize } = table.reconcile;
+  const repair = options.repair === true && table.reconcile.repair;
+  const sampleSize = options.sampleSize ?? 10;
+  const keyColumns = getKeyColumns(table.primaryKey);
+  const { limitStyle } = table.streaming || table.fetch;
+
+  const result = {
+    source: sourceDbKey,
+    table: table.name,
+    targetTable: table.targetTable,
+    repair,
+    sourceRows: 0,
+    targetRows: 0,
+    missing: 0,
+    extra: 0,
+    different: 0,
+    repaired: 0,
+    deadLettered: 0,
+    samples: { missing: [], extra: [], different: [] },
+  };
+
+  // The source connection is only opened when the first page is read
+  const pages = dbService.fetchPages(sourceDbKey, table, pageSize, limitStyle);
+  let client = null;
+
+  try {
+    // Peek at the first source page to learn which columns to compare
+    const first = await pages.next();
+    const firstPage = first.done ? [] : first.value;
+    const columns =
+      table.columns ||
+      (firstPage.length > 0 ? Object.keys(firstPage[0]) : keyColumns);
+
+    async function* sourceRows() {
+      if (first.done) return;
+      for (const row of firstPage) {
+        result.sourceRows++;
+        yield row;
+      }
+      for await (const page of pages) {
+        for (const row of page) {
+          result.sourceRows++;
+          yield row;
+        }
+      }
+    }
+
+    client = await dbService.connectClient("web");
+
+    // One consistent view of the target while it is read and repaired
+    await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ");
+
+    // Order text keys by byte value to match the merge join's key order
+    const columnTypes = await getColumnTypes(client, table.targetTable);
+    const binaryKeys = keyColumns.filter((col) =>
+      /^(text|character|citext)/.test(columnTypes[col] || "")
+    );
+    // bigint and numeric keys are read as text but sorted as numbers
+    const numericKeys = keyColumns.filter((col) =>
+      /^(smallint|integer|bigint|numeric|real|double)/.test(
+        columnTypes[col] || ""
+      )
+    );
+
+    // Without a key collation the source orders text keys its own way, and
+    // rows would look both missing and extra, so they aren't repaired
+    if (
+      repair &&
+      binaryKeys.length > 0 &&
+      !getKeyCollation(table, limitStyle)
+    ) {
+      const error = new Error(
+        `Can't repair ${table.name}: its text keys (${binaryKeys.join(
+          ", "
+        )}) have no keyCollation, so the source key order is unknown`
+      );
+      error.code = "UNKNOWN_KEY_ORDER";
+      throw error;
+    }
+
+    async function* targetRows() {
+      let afterKey = null;
+      for (;;) {
+        const { sql, params } = buildKeysetQuery(
+          table.targetTable,
+          columns,
+          table.primaryKey,
+          afterKey,
+          pageSize,
+          { binaryKeys, filter: getActiveRowFilter(table) }
+        );
+        const { rows } = await client.query(sql, params);
+        for (const row of rows) {
+          result.targetRows++;
+          yield row;
+        }
+        if (rows.length < pageSize) break;
+
+        const lastRow = rows[rows.length - 1];
+        afterKey = keyColumns.map((col) => lastRow[col]);
+      }
+    }
+
+    // Missing rows are inserted, extra rows deleted and different rows
+    // overwritten with the source values, a page at a time
+    const kinds = {
+      inserts: "missing",
+      deletes: "extra",
+      updates: "different",
+    };
+    let batch = { inserts: [], updates: [], deletes: [] };
+    let batchSize = 0;
+    const flush = async () => {
+      if (batchSize === 0) return;
+      result.deadLettered += await syncToWebDB(
+        { [table.name]: batch },
+        client,
+        [table],
+        { source: sourceDbKey }
+      );
+      result.repaired += batchSize;
+      batch = { inserts: [], updates: [], deletes: [] };
+      batchSize = 0;
+    };
+
+    const diff = streamDiff(targetRows(), sourceRows(), table.primaryKey, {
+      normalize: table.normalize,
+      ignoreColumns: table.ignoreColumns,
+      numericKeys,
+    });
+
+    for await (const { type, entry } of diff) {
+      const kind = kinds[type];
+      result[kind]++;
+      if (result.samples[kind].length < sampleSize) {
+        result.samples[kind].push(entry);
+      }
+
+      if (repair) {
+        batch[type].push(entry);
+        batchSize++;
+        if (batchSize >= pageSize) {
+          await flush();
+        }
+      }
+    }
+    await flush();
+
+    await client.query(repair ? "COMMIT" : "ROLLBACK");
+  } catch (err) {
+    if (client) {
+      await client.query("ROLLBACK");
+    }
+    throw err;
+  } finally {
+    // Release the source connection if the merge join didn't read it all
+    await pages.return();
+    if (client) {
+      client.release();
+    }
   }
+
+  result.repaired -= result.deadLettered;
+  result.duration = Date.now() - startTime;
+  result.finishedAt = new Date();
+
+  const mismatches = result.missing + result.extra + result.different;
+  const message = `Reconciled ${table.name} from ${sourceDbKey}: ${result.missing} missing, ${result.extra} extra, ${result.different} different rows`;
+  if (mismatches > 0) {
+    logger.warn(repair ? `${message}, ${result.repaired} repaired` : message);
+  } else {
+    logger.info(message);
+  }
+
+  return result;
+}
+
+/**
+ * Reconcile the target against one or every source database
+ * Tables that fail are reported with their error; the others still run
+ * @param {Object} [options] - Options, plus those of reconcileTable
+ * @param {string} [options.source] - Source database key, all sources if omitted
+ * @param {Array<string>} [options.tables] - Table names, all tables of the sources if omitted
+ * @returns {Promise<Array<Object>>} Result per table
+ */
+async function reconcile(options = {}) {
+  const tableConfigs = options.tables
+    ? options.tables.map(getTableConfig)
+    : getTableConfigs(options.source);
+  const sources = [...new Set(tableConfigs.map((table) => table.source))];
+
+  const busy = sources.find(
+    (source) => runningSyncs.has(source) || runningReconciliations.has(source)
+  );
+  if (busy) {
+    const error = new Error(
+      `A sync or reconciliation from ${busy} is running, try again when it finishes`
+    );
+    error.code = "SYNC_RUNNING";
+    throw error;
+  }
+
+  sources.forEach((source) => runningReconciliations.add(source));
+  const results = [];
+
+  try {
+    for (const table of tableConfigs) {
+      let result;
+      try {
+        result = await reconcileTable(table.source, table, options);
+      } catch (err) {
+        logger.error(
+          `Reconciliation of ${table.name} from ${table.source} failed: ${err.message}`
+        );
+        result = {
+          source: table.source,
+          table: table.name,
+          targetTable: table.targetTable,
+          error: err.message,
+          finishedAt: new Date(),
+        };
+      }
+      reconciliations[`${table.source}/${table.name}`] = result;
+      results.push(result);
+    }
+  } finally {
+    sources.forEach((source) => runningReconciliations.delete(source));
+  }
+
+  return results;
+}
+
+/**
+ * Get the latest reconciliation result of every table reconciled so far
+ * @returns {Array<Object>} Results, ordered by source and table
+ */
+function getReconciliationResults() {
+  return Object.keys(reconciliations)
+    .sort()
+    .map((key) => reconciliations[key]);
+}
+
+/**
+ * Apply dead-lettered rows to the target again, e.g. after fixing the data
+ * or the target schema. Rows that apply are removed from the dead letter
+ * queue; rows that still fail stay in it with the new error
+ * @param {Array<string>} ids - Dead letter ids
+ * @returns {Promise<Array<Object>>} Outcome per dead letter as { id, success, error }
+ */
+async function retryDeadLetters(ids) {
+  const client = await dbService.connectClient("web");
+  const results = [];
+
+  try {
+    await client.query("BEGIN");
+
+    for (const letter of await deadLetterQueue.getDeadLetters(ids, client)) {
+      const statement = buildRowStatement(
+        getTableConfig(letter.table),
+        letter.operation,
+        letter
+      );
+
+      try {
+        await queryWithSavepoint(client, statement.sql, statement.params);
+        await deadLetterQueue.removeDeadLetter(letter.id, client);
+        results.push({ id: letter.id, success: true });
+      } catch (err) {
+        if (!isRowError(err)) throw err;
+        await deadLetterQueue.markRetryFailed(letter.id, err, client);
+        results.push({ id: letter.id, success: false, error: err.message });
+      }
+    }
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const applied = results.filter((result) => result.success).length;
+  logger.info(`Retried ${results.length} dead letters, ${applied} applied`);
+  return results;
 }
 
 /**
@@ -556,9 +1892,9 @@ async function forceCreateSnapshot(dbKey = "web") {
   try {
     if (dbKey === "web") {
       await createSnapshotFromWebDB();
-    } else if (dbKey === "remote") {
-      const remoteData = await dbService.fetchRemoteData();
-      snapshotManager.saveSnapshot("remote", remoteData);
+    } else if (getTableConfigs(dbKey).length > 0) {
+      const sourceData = await dbService.fetchSourceData(dbKey);
+      await snapshotManager.saveSnapshot(dbKey, sourceData);
     } else {
       throw new Error(`Creating snapshot for ${dbKey} is not supported yet`);
     }
@@ -582,6 +1918,9 @@ async function forceCreateSnapshot(dbKey = "web") {
 function getSyncStats() {
   const formattedStats = {};
 
+  // Report every configured database, including ones not synced yet
+  getDatabaseConfigs().forEach((db) => getStats(db.name));
+
   for (const [dbKey, stats] of Object.entries(syncStats)) {
     formattedStats[dbKey] = {
       ...stats,
@@ -594,8 +1933,16 @@ function getSyncStats() {
 
 module.exports = {
   syncRemoteToWeb,
+  syncAllSources,
   syncBetweenDatabases,
   getSyncStats,
+  isSyncRunning,
+  retryDeadLetters,
+  reconcile,
+  getReconciliationResults,
+  getPendingChangesets,
+  approveChangeset,
+  rejectChangeset,
   forceCreateSnapshot,
   createSnapshotFromWebDB,
 };
@@ -0,0 +1,127 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { CircuitBreaker } = require("../services/breaker");
+
+const fail = async () => {
+  throw new Error("connection refused");
+};
+const succeed = async () => "connected";
+
+/**
+ * Run an attempt that fails, ignoring its error
+ * @param {CircuitBreaker} breaker - Breaker to run through
+ * @param {Function} [attempt] - Attempt to run
+ */
+async function failOnce(breaker, attempt = fail) {
+  await assert.rejects(breaker.run(attempt));
+}
+
+describe("CircuitBreaker", () => {
+  it("stays closed below the failure threshold", async () => {
+    const breaker = new CircuitBreaker("remote", { failureThreshold: 3 });
+
+    await failOnce(breaker);
+    await failOnce(breaker);
+
+    assert.equal(breaker.state, "closed");
+    assert.equal(breaker.failures, 2);
+    assert.equal(await breaker.run(succeed), "connected");
+    assert.equal(breaker.failures, 0);
+  });
+
+  it("opens at the threshold and refuses attempts until the delay", async () => {
+    const breaker = new CircuitBreaker("remote", {
+      failureThreshold: 2,
+      baseDelayMillis: 1000,
+    });
+    await failOnce(breaker);
+    await failOnce(breaker);
+
+    assert.equal(breaker.state, "open");
+    const delay = breaker.nextAttemptAt - Date.now();
+    assert.ok(delay > 400 && delay <= 1000);
+
+    let attempted = false;
+    await assert.rejects(
+      breaker.run(async () => {
+        attempted = true;
+      }),
+      (err) => {
+        assert.equal(err.code, "CIRCUIT_OPEN");
+        assert.match(err.message, /circuit open until .*connection refused/);
+        return true;
+      }
+    );
+    assert.equal(attempted, false);
+    assert.equal(breaker.isOpen(breaker.nextAttemptAt), false);
+  });
+
+  it("closes again after a successful half-open trial", async () => {
+    const breaker = new CircuitBreaker("remote", {
+      failureThreshold: 1,
+      baseDelayMillis: 10,
+    });
+    await failOnce(breaker);
+    await sleep(15);
+
+    let release;
+    const trial = breaker.run(
+      () => new Promise((resolve) => (release = resolve))
+    );
+    assert.equal(breaker.state, "half-open");
+
+    // Only one trial runs at a time
+    await assert.rejects(
+      breaker.run(succeed),
+      /reconnect attempt is in progress/
+    );
+
+    release("connected");
+    assert.equal(await trial, "connected");
+    assert.equal(breaker.state, "closed");
+    assert.equal(breaker.getState().nextAttemptAt, null);
+  });
+
+  it("reopens with a longer delay when a trial fails", async () => {
+    const breaker = new CircuitBreaker("remote", {
+      failureThreshold: 1,
+      baseDelayMillis: 10,
+      maxDelayMillis: 1000,
+    });
+    await failOnce(breaker);
+    await sleep(15);
+
+    await failOnce(breaker);
+
+    assert.equal(breaker.state, "open");
+    assert.equal(breaker.openings, 2);
+    const delay = breaker.nextAttemptAt - Date.now();
+    assert.ok(delay > 5 && delay <= 20);
+  });
+
+  it("caps the backoff delay", () => {
+    const breaker = new CircuitBreaker("remote", {
+      baseDelayMillis: 1000,
+      maxDelayMillis: 4000,
+    });
+    breaker.openings = 10;
+
+    for (let i = 0; i < 20; i++) {
+      const delay = breaker.getDelay();
+      assert.ok(delay >= 2000 && delay <= 4000);
+    }
+  });
+
+  it("reports its state", async () => {
+    const breaker = new CircuitBreaker("remote", { failureThreshold: 1 });
+    await failOnce(breaker);
+
+    const state = breaker.getState();
+
+    assert.equal(state.state, "open");
+    assert.equal(state.failures, 1);
+    assert.equal(state.lastError, "connection refused");
+    assert.ok(state.nextAttemptAt instanceof Date);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, getNextRun } = require("../utils/cron");
+
+describe("parseCron", () => {
+  it("accepts five and six field expressions", () => {
+    assert.equal(parseCron(" 0 3 * * mon-fri "), "0 3 * * mon-fri");
+    assert.equal(parseCron("*/30 * * * * *"), "*/30 * * * * *");
+  });
+
+  it("rejects the wrong number of fields", () => {
+    assert.throws(() => parseCron("0 3 * *"), /must have 5 or 6 fields, got 4/);
+  });
+
+  it("rejects values out of range", () => {
+    assert.throws(() => parseCron("0 25 * * *"), /Cron expression '0 25/);
+    assert.throws(() => parseCron("0 3 * * someday"), /Cron expression/);
+  });
+});
+
+describe("getNextRun", () => {
+  it("finds the next matching minute", () => {
+    const from = new Date(2024, 0, 1, 10, 15, 30);
+
+    assert.deepEqual(
+      getNextRun("*/20 * * * *", from),
+      new Date(2024, 0, 1, 10, 20, 0)
+    );
+    assert.deepEqual(
+      getNextRun("0 3 * * *", from),
+      new Date(2024, 0, 2, 3, 0, 0)
+    );
+  });
+
+  it("runs strictly after the given time", () => {
+    const from = new Date(2024, 0, 1, 3, 0, 0);
+
+    assert.deepEqual(
+      getNextRun("0 3 * * *", from),
+      new Date(2024, 0, 2, 3, 0, 0)
+    );
+  });
+
+  it("supports seconds, names and steps", () => {
+    const from = new Date(2024, 0, 1, 10, 0, 0);
+
+    assert.deepEqual(
+      getNextRun("15 0 10 * jan mon", from),
+      new Date(2024, 0, 1, 10, 0, 15)
+    );
+    // 2024-01-06 is the first Saturday after Monday 2024-01-01
+    assert.deepEqual(
+      getNextRun("0 8 * * sat", from),
+      new Date(2024, 0, 6, 8, 0, 0)
+    );
+  });
+
+  it("matches either restricted day field, as standard cron does", () => {
+    // The 15th, or any Monday: Monday 2024-01-08 comes first
+    const from = new Date(2024, 0, 2, 0, 0, 0);
+
+    assert.deepEqual(
+      getNextRun("0 0 15 * mon", from),
+      new Date(2024, 0, 8, 0, 0, 0)
+    );
+    assert.deepEqual(
+      getNextRun("0 0 15 * mon", new Date(2024, 0, 13, 0, 0, 0)),
+      new Date(2024, 0, 15, 0, 0, 0)
+    );
+    assert.deepEqual(
+      getNextRun("0 0 3 * mon", from),
+      new Date(2024, 0, 3, 0, 0, 0)
+    );
+  });
+
+  it("returns null for an expression that never matches", () => {
+    assert.equal(getNextRun("0 0 30 feb *", new Date(2024, 0, 1)), null);
+  });
+});
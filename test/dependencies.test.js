@@ -0,0 +1,63 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { sortByDependencies } = require("../utils/dependencies");
+
+const tables = (...names) => names.map((name) => ({ name }));
+const names = (sorted) => sorted.map((table) => table.name);
+
+describe("sortByDependencies", () => {
+  it("puts parents before their children", () => {
+    const sorted = sortByDependencies(tables("lines", "orders", "customers"), [
+      ["lines", "orders"],
+      ["orders", "customers"],
+    ]);
+
+    assert.deepEqual(names(sorted), ["customers", "orders", "lines"]);
+  });
+
+  it("keeps the given order of independent tables", () => {
+    const sorted = sortByDependencies(tables("c", "a", "b", "child"), [
+      ["child", "a"],
+    ]);
+
+    assert.deepEqual(names(sorted), ["c", "a", "b", "child"]);
+  });
+
+  it("ignores self references and unknown tables", () => {
+    const sorted = sortByDependencies(tables("b", "a"), [
+      ["b", "b"],
+      ["b", "elsewhere"],
+      ["elsewhere", "a"],
+    ]);
+
+    assert.deepEqual(names(sorted), ["b", "a"]);
+  });
+
+  it("waits for every parent of a table", () => {
+    const sorted = sortByDependencies(tables("child", "a", "b"), [
+      ["child", "a"],
+      ["child", "b"],
+      ["a", "b"],
+    ]);
+
+    assert.deepEqual(names(sorted), ["b", "a", "child"]);
+  });
+
+  it("reports a cycle with code DEPENDENCY_CYCLE", () => {
+    assert.throws(
+      () =>
+        sortByDependencies(tables("root", "a", "b", "c"), [
+          ["a", "root"],
+          ["a", "c"],
+          ["b", "a"],
+          ["c", "b"],
+        ]),
+      (err) => {
+        assert.equal(err.code, "DEPENDENCY_CYCLE");
+        assert.deepEqual(err.cycle, ["a", "c", "b", "a"]);
+        assert.match(err.message, /a -> c -> b -> a/);
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,324 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeDiff,
+  buildHashIndex,
+  compareKeys,
+  streamDiff,
+} = require("../utils/diff");
+
+describe("computeDiff", () => {
+  it("finds inserts, updates and deletes by key", () => {
+    const oldRows = [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+      { id: 3, name: "c" },
+    ];
+    const newRows = [
+      { id: 1, name: "a" },
+      { id: 2, name: "B" },
+      { id: 4, name: "d" },
+    ];
+
+    const diff = computeDiff(oldRows, newRows, "id");
+
+    assert.deepEqual(diff.inserts, [{ id: 4, name: "d" }]);
+    assert.deepEqual(diff.deletes, [{ id: 3, name: "c" }]);
+    assert.deepEqual(diff.updates, [
+      {
+        key: { id: 2 },
+        row: { id: 2, name: "B" },
+        changedColumns: ["name"],
+        before: { name: "b" },
+        after: { name: "B" },
+      },
+    ]);
+  });
+
+  it("matches rows on composite keys", () => {
+    const oldRows = [
+      { order: 1, line: 1, qty: 5 },
+      { order: 1, line: 2, qty: 1 },
+    ];
+    const newRows = [
+      { order: 1, line: 1, qty: 6 },
+      { order: 2, line: 1, qty: 1 },
+    ];
+
+    const diff = computeDiff(oldRows, newRows, ["order", "line"]);
+
+    assert.deepEqual(diff.inserts, [{ order: 2, line: 1, qty: 1 }]);
+    assert.deepEqual(diff.deletes, [{ order: 1, line: 2, qty: 1 }]);
+    assert.deepEqual(diff.updates[0].key, { order: 1, line: 1 });
+    assert.deepEqual(diff.updates[0].changedColumns, ["qty"]);
+  });
+
+  it("skips rows with a missing key", () => {
+    const diff = computeDiff(
+      [],
+      [{ id: null, name: "x" }, { name: "y" }],
+      "id"
+    );
+
+    assert.equal(diff.inserts.length, 0);
+  });
+
+  it("normalizes values before comparing them", () => {
+    const oldRows = [{ id: 1, name: "a  ", amount: "10.50", note: "" }];
+    const newRows = [{ id: 1, name: "a", amount: 10.5, note: null }];
+
+    assert.equal(computeDiff(oldRows, newRows, "id").updates.length, 0);
+    assert.equal(
+      computeDiff(oldRows, newRows, "id", { normalize: false }).updates.length,
+      1
+    );
+  });
+
+  it("keeps keys that only normalize to the same value apart", () => {
+    const diff = computeDiff([], [{ code: "007" }, { code: "7" }], "code");
+
+    assert.deepEqual(diff.inserts, [{ code: "007" }, { code: "7" }]);
+  });
+
+  it("matches keys by their text, trimming CHAR padding", () => {
+    const oldRows = [
+      { id: 7, code: "AB  ", name: "a" },
+      { id: 8, code: "CD", name: "b" },
+    ];
+    const newRows = [
+      { id: "7", code: "AB", name: "a" },
+      { id: "8", code: "CD", name: "b" },
+    ];
+
+    const diff = computeDiff(oldRows, newRows, ["id", "code"]);
+
+    assert.deepEqual(diff, { inserts: [], updates: [], deletes: [] });
+  });
+
+  it("ignores volatile columns", () => {
+    const oldRows = [{ id: 1, name: "a", synced_at: "2024-01-01" }];
+    const newRows = [{ id: 1, name: "a", synced_at: "2024-01-02" }];
+
+    const diff = computeDiff(oldRows, newRows, "id", {
+      ignoreColumns: ["synced_at"],
+    });
+
+    assert.equal(diff.updates.length, 0);
+  });
+
+  it("leaves deletes out when detectDeletes is false", () => {
+    const diff = computeDiff([{ id: 1 }], [], "id", { detectDeletes: false });
+
+    assert.deepEqual(diff.deletes, []);
+  });
+
+  it("compares against a compact hash index", () => {
+    const oldRows = [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+    ];
+    const index = buildHashIndex(oldRows, "id");
+
+    const diff = computeDiff(
+      index,
+      [
+        { id: 1, name: "a" },
+        { id: 3, name: "c" },
+      ],
+      "id"
+    );
+
+    assert.deepEqual(diff.inserts, [{ id: 3, name: "c" }]);
+    assert.deepEqual(diff.updates, []);
+    assert.deepEqual(diff.deletes, [{ id: "2" }]);
+  });
+
+  it("keeps raw key values in a hash index and its deletes", () => {
+    const index = buildHashIndex(
+      [
+        { code: "007", name: "a" },
+        { code: " 8 ", name: "b" },
+      ],
+      "code"
+    );
+    assert.deepEqual(Object.keys(index).sort(), ["007", "8"]);
+
+    const diff = computeDiff(index, [{ code: "7", name: "a" }], "code");
+
+    assert.deepEqual(diff.inserts, [{ code: "7", name: "a" }]);
+    assert.deepEqual(diff.deletes.map((row) => row.code).sort(), ["007", "8"]);
+  });
+
+  it("rebuilds composite keys of hash index deletes", () => {
+    const index = buildHashIndex(
+      [{ order: 1, code: "007", qty: 1 }],
+      ["order", "code"]
+    );
+
+    const diff = computeDiff(index, [], ["order", "code"]);
+
+    assert.deepEqual(diff.deletes, [{ order: "1", code: "007" }]);
+  });
+
+  it("reports every column as changed against a hash index", () => {
+    const index = buildHashIndex([{ id: 1, name: "a" }], "id");
+
+    const [update] = computeDiff(index, [{ id: 1, name: "b" }], "id").updates;
+
+    assert.deepEqual(update.changedColumns, ["id", "name"]);
+    assert.equal(update.before, null);
+  });
+});
+
+/**
+ * Yield rows as an async stream
+ * @param {Array<Object>} rows - Rows to yield
+ * @yields {Object} Each row in turn
+ */
+async function* streamOf(rows) {
+  yield* rows;
+}
+
+/**
+ * Collect a stream diff into arrays per change type
+ * @param {AsyncIterable<Object>} changes - Changes from streamDiff
+ * @returns {Promise<Object>} { inserts, updates, deletes }
+ */
+async function collect(changes) {
+  const diff = { inserts: [], updates: [], deletes: [] };
+  for await (const { type, entry } of changes) {
+    diff[type].push(entry);
+  }
+  return diff;
+}
+
+describe("compareKeys", () => {
+  it("orders numbers numerically and other values by code point", () => {
+    assert.ok(compareKeys([2], [10]) < 0);
+    assert.ok(compareKeys(["2"], ["10"]) > 0);
+    assert.ok(compareKeys(["B"], ["a"]) < 0);
+    assert.equal(compareKeys([1, "x"], [1, "x"]), 0);
+    assert.ok(compareKeys([1, "a"], [1, "b"]) < 0);
+  });
+
+  it("compares positions flagged numeric as numbers", () => {
+    assert.ok(compareKeys(["10"], ["9"], [true]) > 0);
+    assert.equal(compareKeys(["7"], [7], [true]), 0);
+    assert.ok(compareKeys(["x", "10"], ["x", "9"], [false, true]) > 0);
+  });
+});
+
+describe("streamDiff", () => {
+  it("matches computeDiff on key-ordered input", async () => {
+    const oldRows = [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+      { id: 3, name: "c" },
+    ];
+    const newRows = [
+      { id: 2, name: "B" },
+      { id: 3, name: "c" },
+      { id: 4, name: "d" },
+    ];
+
+    const diff = await collect(
+      streamDiff(streamOf(oldRows), streamOf(newRows), "id")
+    );
+
+    assert.deepEqual(diff, computeDiff(oldRows, newRows, "id"));
+  });
+
+  it("merges composite keys", async () => {
+    const oldRows = [
+      { a: 1, b: "x", v: 1 },
+      { a: 1, b: "y", v: 1 },
+    ];
+    const newRows = [
+      { a: 1, b: "y", v: 2 },
+      { a: 2, b: "x", v: 1 },
+    ];
+
+    const diff = await collect(
+      streamDiff(streamOf(oldRows), streamOf(newRows), ["a", "b"])
+    );
+
+    assert.deepEqual(diff.deletes, [{ a: 1, b: "x", v: 1 }]);
+    assert.deepEqual(diff.inserts, [{ a: 2, b: "x", v: 1 }]);
+    assert.deepEqual(diff.updates[0].key, { a: 1, b: "y" });
+  });
+
+  it("keeps keys that only normalize to the same value apart", async () => {
+    const diff = await collect(
+      streamDiff(
+        streamOf([{ code: "007", v: 1 }]),
+        streamOf([
+          { code: "007", v: 1 },
+          { code: "7", v: 1 },
+        ]),
+        "code"
+      )
+    );
+
+    assert.deepEqual(diff.inserts, [{ code: "7", v: 1 }]);
+    assert.deepEqual(diff.updates, []);
+  });
+
+  it("accepts numeric-looking text keys in byte order", async () => {
+    const oldRows = [{ code: "10" }, { code: "7" }, { code: "8" }];
+    const newRows = [{ code: "10" }, { code: "70" }, { code: "8" }];
+
+    const diff = await collect(
+      streamDiff(streamOf(oldRows), streamOf(newRows), "code")
+    );
+
+    assert.deepEqual(diff.deletes, [{ code: "7" }]);
+    assert.deepEqual(diff.inserts, [{ code: "70" }]);
+  });
+
+  it("merges numeric keys read as text on one side numerically", async () => {
+    // bigint keys come back from PostgreSQL as strings
+    const target = [{ id: "9" }, { id: "10" }];
+    const source = [{ id: 9 }, { id: 10 }, { id: 11 }];
+
+    const diff = await collect(
+      streamDiff(streamOf(target), streamOf(source), "id", {
+        numericKeys: ["id"],
+      })
+    );
+
+    assert.deepEqual(diff, { inserts: [{ id: 11 }], updates: [], deletes: [] });
+  });
+
+  it("rejects input out of key order", async () => {
+    const rows = [{ id: "b" }, { id: "a" }];
+
+    await assert.rejects(
+      collect(streamDiff(streamOf([]), streamOf(rows), "id")),
+      /newData is not in ascending order of id/
+    );
+  });
+
+  it("closes its inputs when the consumer stops early", async () => {
+    const closed = [];
+    async function* rows(label, items) {
+      try {
+        yield* items;
+      } finally {
+        closed.push(label);
+      }
+    }
+
+    const changes = streamDiff(
+      rows("old", [{ id: 1 }, { id: 2 }]),
+      rows("new", [{ id: 3 }, { id: 4 }]),
+      "id"
+    );
+    assert.deepEqual((await changes.next()).value, {
+      type: "deletes",
+      entry: { id: 1 },
+    });
+    await changes.return();
+
+    assert.deepEqual(closed.sort(), ["new", "old"]);
+  });
+});
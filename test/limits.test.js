@@ -0,0 +1,103 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkChangeLimits } = require("../utils/limits");
+
+/**
+ * Build a table configuration with change limits
+ * @param {Object} changeLimits - Limits overriding none being set
+ * @returns {Object} Table configuration
+ */
+function table(changeLimits) {
+  return {
+    name: "items",
+    changeLimits: {
+      maxDeletes: null,
+      maxDeletePercent: null,
+      maxUpdates: null,
+      maxUpdatePercent: null,
+      ...changeLimits,
+    },
+  };
+}
+
+describe("checkChangeLimits", () => {
+  it("passes changes within the limits", () => {
+    const limits = table({ maxDeletes: 10, maxDeletePercent: 50 });
+
+    assert.deepEqual(
+      checkChangeLimits(limits, { deletes: 5, updates: 0, previousRows: 10 }),
+      []
+    );
+  });
+
+  it("reports counts over the limit", () => {
+    const limits = table({ maxDeletes: 2, maxUpdates: 1 });
+
+    assert.deepEqual(
+      checkChangeLimits(limits, { deletes: 3, updates: 2, previousRows: 100 }),
+      ["3 deletes exceed the limit of 2", "2 updates exceed the limit of 1"]
+    );
+  });
+
+  it("takes percentages of the previous snapshot's rows", () => {
+    const limits = table({ maxDeletePercent: 50 });
+
+    assert.deepEqual(
+      checkChangeLimits(limits, { deletes: 3, updates: 0, previousRows: 5 }),
+      ["3 deletes (60.0% of 5 rows) exceed the limit of 50%"]
+    );
+    assert.deepEqual(
+      checkChangeLimits(limits, { deletes: 3, updates: 0, previousRows: 6 }),
+      []
+    );
+  });
+
+  it("treats a limit of 0 as allowing no changes", () => {
+    const limits = table({ maxDeletes: 0, maxUpdatePercent: 0 });
+
+    assert.deepEqual(
+      checkChangeLimits(limits, { deletes: 1, updates: 1, previousRows: 1000 }),
+      [
+        "1 deletes exceed the limit of 0",
+        "1 updates (0.1% of 1000 rows) exceed the limit of 0%",
+      ]
+    );
+    assert.deepEqual(
+      checkChangeLimits(limits, { deletes: 0, updates: 0, previousRows: 1000 }),
+      []
+    );
+  });
+
+  it("ignores limits that are turned off", () => {
+    assert.deepEqual(
+      checkChangeLimits(table({}), {
+        deletes: 100,
+        updates: 100,
+        previousRows: 100,
+      }),
+      []
+    );
+  });
+
+  it("passes counts no larger than those approved", () => {
+    const limits = table({ maxDeletes: 1 });
+    const approved = { deletes: 5, updates: 0 };
+
+    assert.deepEqual(
+      checkChangeLimits(
+        limits,
+        { deletes: 5, updates: 0, previousRows: 10 },
+        approved
+      ),
+      []
+    );
+    assert.deepEqual(
+      checkChangeLimits(
+        limits,
+        { deletes: 6, updates: 0, previousRows: 10 },
+        approved
+      ),
+      ["6 deletes exceed the limit of 1"]
+    );
+  });
+});
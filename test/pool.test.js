@@ -0,0 +1,160 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { OdbcPool } = require("../services/pool");
+
+const pools = [];
+
+/**
+ * Create a pool of fake connections
+ * @param {Object} [options] - Pool options
+ * @returns {Object} { pool, connections } with every connection opened
+ */
+function createPool(options = {}) {
+  const connections = [];
+  const connect = async () => {
+    const connection = {
+      id: connections.length + 1,
+      closed: false,
+      healthy: true,
+      query: async () => {
+        if (!connection.healthy) throw new Error("connection lost");
+        return [];
+      },
+      close: async () => {
+        connection.closed = true;
+      },
+    };
+    connections.push(connection);
+    return connection;
+  };
+
+  const pool = new OdbcPool("test", connect, options);
+  pools.push(pool);
+  return { pool, connections };
+}
+
+afterEach(async () => {
+  for (const pool of pools.splice(0)) {
+    await pool.close();
+  }
+});
+
+describe("OdbcPool", () => {
+  it("reuses released connections", async () => {
+    const { pool, connections } = createPool();
+
+    const first = await pool.acquire();
+    pool.release(first);
+    const second = await pool.acquire();
+
+    assert.equal(second, first);
+    assert.equal(connections.length, 1);
+    assert.equal(pool.getStats().acquired, 2);
+  });
+
+  it("opens connections up to the maximum size", async () => {
+    const { pool } = createPool({ maxPoolSize: 2, acquireTimeoutMillis: 20 });
+
+    const a = await pool.acquire();
+    const b = await pool.acquire();
+
+    assert.notEqual(a, b);
+    assert.equal(pool.size, 2);
+    await assert.rejects(pool.acquire(), /Timed out after 20ms/);
+    assert.equal(pool.getStats().timeouts, 1);
+  });
+
+  it("hands released connections to waiting callers in order", async () => {
+    const { pool } = createPool({ maxPoolSize: 1 });
+    const connection = await pool.acquire();
+
+    const order = [];
+    const first = pool.acquire().then((c) => order.push("first") && c);
+    const second = pool.acquire().then((c) => order.push("second") && c);
+    await sleep(0);
+    assert.equal(pool.getStats().waiting, 2);
+
+    pool.release(connection);
+    assert.equal(await first, connection);
+    pool.release(connection);
+    assert.equal(await second, connection);
+    assert.deepEqual(order, ["first", "second"]);
+  });
+
+  it("rejects callers beyond the waiting limit", async () => {
+    const { pool } = createPool({ maxPoolSize: 1, maxWaiters: 1 });
+    const connection = await pool.acquire();
+    const waiting = pool.acquire();
+    await sleep(0);
+
+    await assert.rejects(
+      pool.acquire(),
+      /exhausted with 1 callers already waiting/
+    );
+    assert.equal(pool.getStats().rejected, 1);
+
+    pool.release(connection);
+    assert.equal(await waiting, connection);
+  });
+
+  it("replaces idle connections that fail validation", async () => {
+    const { pool, connections } = createPool();
+    const connection = await pool.acquire();
+    pool.release(connection);
+
+    connection.healthy = false;
+    const replacement = await pool.acquire();
+
+    assert.notEqual(replacement, connection);
+    assert.equal(connection.closed, true);
+    assert.equal(connections.length, 2);
+    assert.equal(pool.getStats().validationFailures, 1);
+  });
+
+  it("closes connections that sat idle too long", async () => {
+    const { pool } = createPool({ idleTimeoutMillis: 10 });
+    const stale = await pool.acquire();
+    pool.release(stale);
+
+    await sleep(20);
+    pool.evictIdle();
+
+    assert.equal(stale.closed, true);
+    assert.equal(pool.size, 0);
+    assert.equal(pool.getStats().destroyed, 1);
+  });
+
+  it("closes connections past their max lifetime on release", async () => {
+    const { pool } = createPool({ maxLifetimeMillis: 10 });
+    const connection = await pool.acquire();
+
+    await sleep(20);
+    pool.release(connection);
+
+    assert.equal(connection.closed, true);
+    assert.equal(pool.getStats().idle, 0);
+  });
+
+  it("ignores connections it doesn't own", () => {
+    const { pool } = createPool();
+
+    pool.release({ id: "stranger" });
+
+    assert.equal(pool.getStats().idle, 0);
+  });
+
+  it("refuses callers once closed and rejects those waiting", async () => {
+    const { pool } = createPool({ maxPoolSize: 1 });
+    const connection = await pool.acquire();
+    const waiting = pool.acquire();
+    await sleep(0);
+
+    await pool.close();
+
+    await assert.rejects(waiting, /pool is closed/);
+    await assert.rejects(pool.acquire(), /pool is closed/);
+    pool.release(connection);
+    assert.equal(connection.closed, true);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { planRetention } = require("../utils/retention");
+
+const NOW = new Date("2024-03-15T12:00:00Z");
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build an archive made a number of hours before NOW
+ * @param {number} hoursAgo - Age of the archive in hours
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Archive as { db, id, size, modifiedAt }
+ */
+function archive(hoursAgo, fields = {}) {
+  return {
+    db: "remote",
+    id: `snapshot.${hoursAgo}.json.gz`,
+    size: 100,
+    modifiedAt: new Date(NOW - hoursAgo * HOUR_MS),
+    ...fields,
+  };
+}
+
+const ids = (archives) => archives.map((a) => a.id).sort();
+
+describe("planRetention", () => {
+  it("keeps archives younger than maxAgeDays without tiers", () => {
+    const plan = planRetention(
+      [archive(1), archive(47), archive(49)],
+      { maxAgeDays: 2 },
+      NOW
+    );
+
+    assert.deepEqual(ids(plan.kept), [archive(1).id, archive(47).id].sort());
+    assert.deepEqual(plan.deleted, [{ ...archive(49), reason: "age" }]);
+  });
+
+  it("keeps the newest archives with keepLast", () => {
+    const plan = planRetention(
+      [archive(3), archive(1), archive(2)],
+      { maxAgeDays: 30, keepLast: 2 },
+      NOW
+    );
+
+    assert.deepEqual(ids(plan.kept), ids([archive(1), archive(2)]));
+    assert.deepEqual(plan.kept[0].reasons, ["last"]);
+    assert.deepEqual(plan.deleted, [{ ...archive(3), reason: "tier" }]);
+  });
+
+  it("keeps the newest archive of each recent day", () => {
+    // Three days, two archives each
+    const archives = [0.5, 2, 24.5, 26, 48.5, 50].map((h) => archive(h));
+
+    const plan = planRetention(archives, { maxAgeDays: 30, keepDaily: 2 }, NOW);
+
+    assert.deepEqual(ids(plan.kept), ids([archive(0.5), archive(24.5)]));
+    assert.ok(plan.kept.every((a) => a.reasons.includes("daily")));
+    assert.equal(plan.deleted.length, 4);
+  });
+
+  it("starts weeks on Monday", () => {
+    // 2024-03-15 is a Friday: 4 days ago is Monday, 5 days ago Sunday
+    const plan = planRetention(
+      [archive(4 * 24), archive(5 * 24), archive(6 * 24)],
+      { maxAgeDays: 30, keepWeekly: 2 },
+      NOW
+    );
+
+    assert.deepEqual(ids(plan.kept), ids([archive(4 * 24), archive(5 * 24)]));
+  });
+
+  it("combines the reasons an archive is kept for", () => {
+    const plan = planRetention(
+      [archive(1)],
+      { maxAgeDays: 30, keepLast: 1, keepHourly: 1, keepDaily: 1 },
+      NOW
+    );
+
+    assert.deepEqual(plan.kept[0].reasons, ["last", "hourly", "daily"]);
+  });
+
+  it("plans each database and kind of archive separately", () => {
+    const plan = planRetention(
+      [
+        archive(1),
+        archive(2),
+        archive(1, { id: "rows.1.json.gz" }),
+        archive(2, { db: "other" }),
+      ],
+      { maxAgeDays: 30, keepLast: 1 },
+      NOW
+    );
+
+    assert.equal(plan.kept.length, 3);
+    assert.deepEqual(plan.deleted, [{ ...archive(2), reason: "tier" }]);
+  });
+
+  it("removes the oldest kept archives over the size budget", () => {
+    const plan = planRetention(
+      [archive(1), archive(2), archive(3)],
+      { maxAgeDays: 30, maxSizeBytes: 250 },
+      NOW
+    );
+
+    assert.deepEqual(ids(plan.kept), ids([archive(1), archive(2)]));
+    assert.deepEqual(plan.deleted, [{ ...archive(3), reason: "size" }]);
+  });
+
+  it("always keeps the newest archive under a size budget", () => {
+    const plan = planRetention(
+      [archive(1, { size: 500 }), archive(2)],
+      { maxAgeDays: 30, maxSizeBytes: 100 },
+      NOW
+    );
+
+    assert.deepEqual(ids(plan.kept), [archive(1).id]);
+  });
+});
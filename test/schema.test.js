@@ -0,0 +1,110 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { describeSourceColumns, compareColumns } = require("../utils/schema");
+
+const target = [
+  { name: "id", dataType: "integer" },
+  { name: "name", dataType: "character varying" },
+  { name: "price", dataType: "numeric" },
+  { name: "updated_at", dataType: "timestamp with time zone" },
+];
+
+/**
+ * Build source columns as described from ODBC metadata
+ * @param {Object} types - SQL type codes by column name
+ * @returns {Array<Object>} Source columns
+ */
+function source(types) {
+  const rows = [];
+  rows.columns = Object.entries(types).map(([name, dataType]) => ({
+    name,
+    dataType,
+  }));
+  return describeSourceColumns(rows);
+}
+
+const cases = [
+  {
+    name: "matching columns",
+    source: source({ id: 4, name: 12, price: 3, updated_at: 93 }),
+    expected: { added: [], removed: [], retyped: [] },
+  },
+  {
+    name: "names differing only in case",
+    source: source({ ID: 4, Name: 12, PRICE: 3, Updated_At: 93 }),
+    expected: { added: [], removed: [], retyped: [] },
+  },
+  {
+    name: "an added column",
+    source: source({ id: 4, name: 12, price: 3, updated_at: 93, sku: 12 }),
+    expected: {
+      added: [{ name: "sku", category: "text", postgresType: "text" }],
+      removed: [],
+      retyped: [],
+    },
+  },
+  {
+    name: "a dropped column",
+    source: source({ id: 4, name: 12, updated_at: 93 }),
+    expected: { added: [], removed: ["price"], retyped: [] },
+  },
+  {
+    name: "a retyped column",
+    source: source({ id: 4, name: 12, price: 12, updated_at: 93 }),
+    expected: {
+      added: [],
+      removed: [],
+      retyped: [{ name: "price", source: "text", target: "numeric" }],
+    },
+  },
+  {
+    name: "types in the same category",
+    source: source({ id: -5, name: -9, price: 8, updated_at: -155 }),
+    expected: { added: [], removed: [], retyped: [] },
+  },
+  {
+    name: "a source column of unknown type",
+    source: source({ id: 4, name: 12, price: 9999, updated_at: 93 }),
+    expected: { added: [], removed: [], retyped: [] },
+  },
+  {
+    name: "added, dropped and retyped columns together",
+    source: source({ id: 12, name: 12, updated_at: 93, sku: 4 }),
+    expected: {
+      added: [{ name: "sku", category: "number", postgresType: "integer" }],
+      removed: ["price"],
+      retyped: [{ name: "id", source: "text", target: "integer" }],
+    },
+  },
+];
+
+describe("compareColumns", () => {
+  for (const { name, source: sourceColumns, expected } of cases) {
+    it(`reports ${name}`, () => {
+      assert.deepEqual(compareColumns(sourceColumns, target), expected);
+    });
+  }
+
+  it("ignores target types it doesn't know", () => {
+    const columns = [{ name: "tags", dataType: "ARRAY" }];
+
+    assert.deepEqual(compareColumns(source({ tags: 12 }), columns), {
+      added: [],
+      removed: [],
+      retyped: [],
+    });
+  });
+
+  it("compares columns inferred from row values", () => {
+    const rows = [
+      { id: 1, name: null, price: "9.99" },
+      { id: 2, name: "widget", price: "4.50" },
+    ];
+
+    assert.deepEqual(compareColumns(describeSourceColumns(rows), target), {
+      added: [],
+      removed: ["updated_at"],
+      retyped: [{ name: "price", source: "text", target: "numeric" }],
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  assertTableName,
+  createTableOnce,
+  getBatchSize,
+  chunk,
+  buildUpsertQuery,
+  buildUpdateQuery,
+  buildBulkUpdateQuery,
+  groupUpdates,
+  buildDeleteQuery,
+  buildSoftDeleteQuery,
+  buildArchiveDeleteQuery,
+  buildKeysetQuery,
+} = require("../utils/sql");
+const { computeDiff } = require("../utils/diff");
+
+// Collapse whitespace so statements compare as single lines
+const squash = (sql) => sql.replace(/\s+/g, " ").trim();
+
+describe("batching", () => {
+  it("keeps batches within the bind parameter limit", () => {
+    assert.equal(getBatchSize(1000, 10), 1000);
+    assert.equal(getBatchSize(10000, 10), 6553);
+    assert.equal(getBatchSize(1000, 100000), 1);
+  });
+
+  it("splits rows into batches in order", () => {
+    assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.deepEqual(chunk([], 2), []);
+  });
+});
+
+describe("buildUpsertQuery", () => {
+  it("binds rows one after another", () => {
+    assert.equal(
+      squash(buildUpsertQuery("items", ["id", "name"], "id", 2)),
+      "INSERT INTO items (id, name) VALUES ($1, $2), ($3, $4) " +
+        "ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name"
+    );
+  });
+
+  it("does nothing on conflict when only key columns are written", () => {
+    assert.equal(
+      squash(buildUpsertQuery("links", ["a", "b"], ["a", "b"])),
+      "INSERT INTO links (a, b) VALUES ($1, $2) ON CONFLICT (a, b) DO NOTHING"
+    );
+  });
+});
+
+describe("update builders", () => {
+  it("binds the keys before the updated columns", () => {
+    assert.equal(
+      squash(buildUpdateQuery("lines", ["qty"], ["order_id", "line"])),
+      "UPDATE lines SET qty = $3 WHERE order_id = $1 AND line = $2"
+    );
+  });
+
+  it("pairs column arrays up with unnest", () => {
+    assert.equal(
+      squash(
+        buildBulkUpdateQuery("items", ["name", "price"], "id", {
+          id: "integer",
+          name: "text",
+          price: "numeric(10,2)",
+        })
+      ),
+      "UPDATE items AS target SET name = src.name, price = src.price " +
+        "FROM unnest($1::integer[], $2::text[], $3::numeric(10,2)[]) " +
+        "AS src(id, name, price) WHERE target.id = src.id"
+    );
+  });
+});
+
+describe("groupUpdates", () => {
+  const table = {
+    primaryKey: "id",
+    columns: null,
+    ignoreColumns: ["synced_at"],
+  };
+
+  it("groups rows by the columns they change", () => {
+    const a = { id: 1, name: "a", price: 1 };
+    const b = { id: 2, name: "b", price: 2 };
+    const c = { id: 3, name: "c", price: 3 };
+
+    assert.deepEqual(
+      groupUpdates(
+        [
+          { row: a, changedColumns: ["name"] },
+          { row: b, changedColumns: ["price", "name"] },
+          { row: c, changedColumns: ["name", "price"] },
+        ],
+        table
+      ),
+      [
+        { columns: ["name"], rows: [a] },
+        { columns: ["price", "name"], rows: [b, c] },
+      ]
+    );
+  });
+
+  it("never writes target-only columns missing from the new row", () => {
+    // A baseline read from the target with SELECT * has created_at, which
+    // the source doesn't
+    const oldRow = { id: 1, name: "a", created_at: "2024-01-01" };
+    const row = { id: 1, name: "a" };
+    const [update] = computeDiff([oldRow], [row], "id").updates;
+
+    assert.deepEqual(update.changedColumns, ["created_at"]);
+    assert.deepEqual(groupUpdates([update], table), []);
+
+    const [renamed] = computeDiff(
+      [oldRow],
+      [{ id: 1, name: "b" }],
+      "id"
+    ).updates;
+    assert.deepEqual(groupUpdates([renamed], table), [
+      { columns: ["name"], rows: [{ id: 1, name: "b" }] },
+    ]);
+  });
+
+  it("refreshes ignored columns alongside a real change", () => {
+    const row = { id: 1, name: "b", synced_at: "now" };
+
+    assert.deepEqual(
+      groupUpdates([{ row, changedColumns: ["name"] }], table)[0].columns,
+      ["name", "synced_at"]
+    );
+    assert.deepEqual(
+      groupUpdates(
+        [{ row: { id: 1, name: "b" }, changedColumns: ["name"] }],
+        table
+      )[0].columns,
+      ["name"]
+    );
+  });
+
+  it("leaves out key columns and columns outside the table's columns", () => {
+    const row = { id: 2, name: "b", extra: 1 };
+
+    assert.deepEqual(
+      groupUpdates([{ row, changedColumns: ["id", "name", "extra"] }], {
+        ...table,
+        columns: ["id", "name"],
+      }),
+      [{ columns: ["name"], rows: [row] }]
+    );
+  });
+});
+
+describe("delete builders", () => {
+  it("deletes single keys with ANY", () => {
+    assert.equal(
+      buildDeleteQuery("items", "id", 3),
+      "DELETE FROM items WHERE id = ANY($1)"
+    );
+  });
+
+  it("deletes composite keys row by row", () => {
+    assert.equal(
+      buildDeleteQuery("lines", ["order_id", "line"], 2),
+      "DELETE FROM lines WHERE (order_id = $1 AND line = $2) " +
+        "OR (order_id = $3 AND line = $4)"
+    );
+  });
+
+  it("soft deletes keep the first deletion time", () => {
+    assert.equal(
+      squash(
+        buildSoftDeleteQuery("items", "id", {
+          deletedAtColumn: "deleted_at",
+          activeColumn: "active",
+        })
+      ),
+      "UPDATE items SET deleted_at = COALESCE(deleted_at, NOW()), " +
+        "active = FALSE WHERE id = ANY($1)"
+    );
+  });
+
+  it("archives moved rows, keeping rows the archive already holds", () => {
+    const sql = squash(buildArchiveDeleteQuery("items", "items_archive", "id"));
+
+    assert.match(
+      sql,
+      /^WITH moved AS \( DELETE FROM items WHERE id = ANY\(\$1\) RETURNING \* \)/
+    );
+    assert.match(
+      sql,
+      /INSERT INTO items_archive SELECT \(jsonb_populate_record\( NULL::items_archive,/
+    );
+    assert.match(sql, /FROM moved ON CONFLICT DO NOTHING$/);
+  });
+});
+
+describe("buildKeysetQuery", () => {
+  it("reads the first page in key order", () => {
+    assert.deepEqual(
+      buildKeysetQuery("items", ["id", "Name"], "id", null, 100),
+      {
+        sql: 'SELECT id AS "id", Name AS "Name" FROM items ORDER BY id LIMIT 100',
+        params: [],
+      }
+    );
+  });
+
+  it("continues after the last key with binary ordering and a filter", () => {
+    const { sql, params } = buildKeysetQuery(
+      "lines",
+      ["code", "line"],
+      ["code", "line"],
+      ["ab", 3],
+      50,
+      { binaryKeys: ["code"], filter: "line > 0" }
+    );
+
+    assert.equal(
+      sql,
+      'SELECT code AS "code", line AS "line" FROM lines ' +
+        'WHERE (line > 0) AND (code COLLATE "C", line) > ($1, $2) ' +
+        'ORDER BY code COLLATE "C", line LIMIT 50'
+    );
+    assert.deepEqual(params, ["ab", 3]);
+  });
+});
+
+describe("table helpers", () => {
+  it("accepts only plain table names", () => {
+    assertTableName("sync_snapshots", "snapshot");
+    assertTableName("audit.sync_dead_letters", "dead letter");
+
+    for (const name of ["1st", "a.b.c", "x; DROP TABLE y", "", undefined]) {
+      assert.throws(
+        () => assertTableName(name, "snapshot"),
+        /Invalid snapshot table name/
+      );
+    }
+  });
+
+  it("creates a table once for concurrent callers", async () => {
+    const queries = [];
+    const pool = { query: async (sql) => queries.push(squash(sql)) };
+    const ensureTable = createTableOnce(
+      async () => pool,
+      "sync_snapshots",
+      "id INTEGER PRIMARY KEY",
+      "snapshot"
+    );
+
+    await Promise.all([ensureTable(), ensureTable()]);
+    await ensureTable();
+
+    assert.deepEqual(queries, [
+      "CREATE TABLE IF NOT EXISTS sync_snapshots (id INTEGER PRIMARY KEY)",
+    ]);
+  });
+
+  it("retries creating a table after a failure", async () => {
+    let attempts = 0;
+    const pool = {
+      query: async () => {
+        if (++attempts === 1) throw new Error("connection reset");
+      },
+    };
+    const ensureTable = createTableOnce(
+      async () => pool,
+      "sync_snapshots",
+      "id INTEGER PRIMARY KEY",
+      "snapshot"
+    );
+
+    await assert.rejects(ensureTable(), /connection reset/);
+    await ensureTable();
+    assert.equal(attempts, 2);
+  });
+
+  it("rejects an invalid table name when first used", async () => {
+    let connected = false;
+    const ensureTable = createTableOnce(
+      async () => (connected = true),
+      "bad name",
+      "id INTEGER",
+      "dead letter"
+    );
+
+    await assert.rejects(ensureTable(), /Invalid dead letter table name/);
+    assert.equal(connected, false);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  FileSnapshotStorage,
+  MANIFEST_SUFFIX,
+  writePendingManifest,
+  readManifest,
+  verifyChecksum,
+} = require("../services/storage/file");
+const { computeChecksum, createManifest } = require("../utils/checksum");
+
+let dir;
+let storage;
+
+/**
+ * Build the manifest stored with some snapshot data
+ * @param {Buffer} data - Snapshot contents
+ * @returns {Object} Manifest
+ */
+function manifestOf(data) {
+  return createManifest(computeChecksum(data), data.length);
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  storage = new FileSnapshotStorage(dir);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("FileSnapshotStorage", () => {
+  it("writes a snapshot with its manifest and reads it back", async () => {
+    const data = Buffer.from("first");
+    await storage.write("remote", "current", data, manifestOf(data));
+
+    const stored = await storage.read("remote", "current");
+
+    assert.deepEqual(stored.data, data);
+    assert.equal(stored.manifest.checksum, computeChecksum(data));
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      "remote.snapshot.json.gz",
+      `remote.snapshot.json.gz${MANIFEST_SUFFIX}`,
+    ]);
+  });
+
+  it("returns null for missing snapshots and unsafe ids", async () => {
+    assert.equal(await storage.read("remote", "current"), null);
+    assert.equal(storage.getPath("../remote", "current"), null);
+    assert.equal(storage.getPath("remote", "../../etc/passwd"), null);
+    await assert.rejects(
+      storage.write("remote", "other", Buffer.from("x"), {}),
+      /Invalid snapshot id 'other' for remote/
+    );
+  });
+
+  it("keeps the previous snapshot when a write is cut short", async () => {
+    const data = Buffer.from("first");
+    await storage.write("remote", "current", data, manifestOf(data));
+
+    // A crash while writing leaves a partial temp file and pending manifest
+    const filePath = storage.getPath("remote", "current");
+    const partial = Buffer.from("sec");
+    fs.writeFileSync(`${filePath}.tmp`, partial);
+    writePendingManifest(filePath, manifestOf(Buffer.from("second")));
+
+    const stored = await storage.read("remote", "current");
+
+    assert.deepEqual(stored.data, data);
+    assert.equal(stored.manifest.checksum, computeChecksum(data));
+  });
+
+  it("recovers the manifest when a crash follows the data rename", async () => {
+    const first = Buffer.from("first");
+    await storage.write("remote", "current", first, manifestOf(first));
+
+    // The new data is in place but its manifest is still pending
+    const filePath = storage.getPath("remote", "current");
+    const second = Buffer.from("second");
+    writePendingManifest(filePath, manifestOf(second));
+    fs.writeFileSync(filePath, second);
+
+    const stored = await storage.read("remote", "current");
+
+    assert.equal(stored.manifest.checksum, computeChecksum(second));
+    assert.equal(fs.existsSync(`${filePath}${MANIFEST_SUFFIX}.tmp`), false);
+  });
+
+  it("copies and removes snapshots with their manifests", async () => {
+    const data = Buffer.from("first");
+    await storage.write("remote", "current", data, manifestOf(data));
+
+    assert.equal(await storage.copy("remote", "current", "backup"), true);
+    assert.equal(await storage.copy("remote", "snapshot.x", "backup"), false);
+    const backup = await storage.read("remote", "backup");
+    assert.deepEqual(backup.data, data);
+    assert.equal(backup.manifest.checksum, computeChecksum(data));
+
+    await storage.remove("remote", "backup");
+    assert.equal(await storage.read("remote", "backup"), null);
+    assert.equal(readManifest(storage.getPath("remote", "backup")), null);
+  });
+});
+
+describe("verifyChecksum", () => {
+  it("detects a corrupted snapshot", async () => {
+    const data = Buffer.from("first");
+    await storage.write("remote", "current", data, manifestOf(data));
+
+    const filePath = storage.getPath("remote", "current");
+    fs.writeFileSync(filePath, Buffer.from("firsT"));
+    const stored = await storage.read("remote", "current");
+
+    assert.notEqual(stored.manifest.checksum, computeChecksum(stored.data));
+    assert.equal(verifyChecksum(filePath, computeChecksum(stored.data)), false);
+  });
+
+  it("detects a truncated snapshot", async () => {
+    const data = Buffer.from("first");
+    await storage.write("remote", "current", data, manifestOf(data));
+
+    const filePath = storage.getPath("remote", "current");
+    fs.truncateSync(filePath, 2);
+
+    assert.equal(
+      verifyChecksum(filePath, computeChecksum(fs.readFileSync(filePath))),
+      false
+    );
+  });
+
+  it("ignores a pending manifest that doesn't match the data", async () => {
+    const data = Buffer.from("first");
+    await storage.write("remote", "current", data, manifestOf(data));
+
+    const filePath = storage.getPath("remote", "current");
+    fs.writeFileSync(filePath, Buffer.from("garbage"));
+    writePendingManifest(filePath, manifestOf(Buffer.from("second")));
+
+    assert.equal(verifyChecksum(filePath, computeChecksum("garbage")), false);
+    assert.equal(fs.existsSync(`${filePath}${MANIFEST_SUFFIX}.tmp`), true);
+  });
+
+  it("returns null for a file without a manifest", () => {
+    const filePath = path.join(dir, "remote.snapshot.json.gz");
+    fs.writeFileSync(filePath, "data");
+
+    assert.equal(verifyChecksum(filePath, computeChecksum("data")), null);
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadTableConfigs,
+  buildSourceQuery,
+  buildPageQuery,
+  getKeyCollation,
+} = require("../config/tables");
+
+let dir;
+
+/**
+ * Load table entries through a temporary config file
+ * @param {Array<Object>} entries - Raw table entries
+ * @returns {Array<Object>} Normalized table configurations
+ */
+function load(entries) {
+  const file = path.join(dir, "tables.json");
+  fs.writeFileSync(file, JSON.stringify({ tables: entries }));
+  return loadTableConfigs(file);
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "tables-test-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("loadTableConfigs", () => {
+  it("fills in defaults", () => {
+    const [table] = load([{ name: "items", primaryKey: "id" }]);
+
+    assert.equal(table.source, "remote");
+    assert.equal(table.sourceTable, "items");
+    assert.equal(table.targetTable, "items");
+    assert.deepEqual(table.ignoreColumns, []);
+    assert.deepEqual(table.deleteStrategy, {
+      mode: "hard",
+      deletedAtColumn: null,
+      activeColumn: null,
+      archiveTable: null,
+    });
+    assert.equal(table.fetch.mode, "query");
+    assert.equal(table.streaming, null);
+  });
+
+  it("rejects invalid entries", () => {
+    assert.throws(() => load([{ name: "items" }]), /missing 'primaryKey'/);
+    assert.throws(
+      () => load([{ name: "items", primaryKey: [] }]),
+      /empty 'primaryKey'/
+    );
+    assert.throws(
+      () =>
+        load([
+          { name: "items", primaryKey: "id" },
+          { name: "items", primaryKey: "id" },
+        ]),
+      /Duplicate table config 'items'/
+    );
+    assert.throws(
+      () => load([{ name: "items", primaryKey: "id", dependsOn: ["nope"] }]),
+      /depends on unknown table 'nope'/
+    );
+  });
+});
+
+describe("delete strategies", () => {
+  const strategy = (deleteStrategy, extra = {}) =>
+    load([{ name: "items", primaryKey: "id", deleteStrategy, ...extra }])[0]
+      .deleteStrategy;
+
+  it("soft deletes into deleted_at unless a column is given", () => {
+    assert.deepEqual(strategy("soft"), {
+      mode: "soft",
+      deletedAtColumn: "deleted_at",
+      activeColumn: null,
+      archiveTable: null,
+    });
+    assert.deepEqual(strategy({ mode: "soft", activeColumn: "active" }), {
+      mode: "soft",
+      deletedAtColumn: null,
+      activeColumn: "active",
+      archiveTable: null,
+    });
+    assert.equal(
+      strategy({ mode: "soft", deletedAtColumn: "removed_on" }).deletedAtColumn,
+      "removed_on"
+    );
+  });
+
+  it("archives into a table named after the target", () => {
+    assert.equal(
+      strategy("archive", { targetTable: "web_items" }).archiveTable,
+      "web_items_archive"
+    );
+    assert.equal(
+      strategy({ mode: "archive", archiveTable: "old_items" }).archiveTable,
+      "old_items"
+    );
+  });
+
+  it("defaults an object without a mode to hard deletes", () => {
+    assert.equal(strategy({ archiveTable: "old_items" }).archiveTable, null);
+    assert.equal(strategy({}).mode, "hard");
+  });
+
+  it("rejects unknown modes", () => {
+    assert.throws(
+      () => strategy("shred"),
+      /Table config 'items' has unsupported delete strategy 'shred'/
+    );
+  });
+});
+
+describe("source queries", () => {
+  const items = {
+    name: "items",
+    sourceTable: "dbo.items",
+    primaryKey: ["code", "line"],
+    columns: ["code", "line", "name"],
+    filter: "active = 1",
+    incremental: { column: "rv" },
+  };
+
+  it("limits incremental reads to the watermark", () => {
+    assert.equal(
+      buildSourceQuery(items, "2024-01-01"),
+      "SELECT code, line, name FROM dbo.items WHERE (active = 1) AND (rv >= ?)"
+    );
+    assert.equal(
+      buildSourceQuery(items),
+      "SELECT code, line, name FROM dbo.items WHERE (active = 1)"
+    );
+  });
+
+  it("binds binary watermarks as hex converted back to varbinary", () => {
+    const rowversion = Buffer.from("00000000000007d1", "hex");
+
+    const { sql, params } = buildPageQuery(items, null, 100, "top", rowversion);
+
+    assert.match(sql, /rv >= CONVERT\(varbinary\(max\), \?, 1\)/);
+    assert.deepEqual(params, ["0x00000000000007D1"]);
+  });
+
+  it("continues after the last key of the previous page", () => {
+    assert.deepEqual(buildPageQuery(items, ["a", 2], 100, "limit"), {
+      sql:
+        "SELECT code, line, name FROM dbo.items WHERE (active = 1) AND " +
+        "((code > ?) OR (code = ? AND line > ?)) " +
+        "ORDER BY code, line LIMIT 100",
+      params: ["a", "a", 2],
+    });
+  });
+
+  it("orders text keys by a binary collation under TOP and FETCH", () => {
+    const { sql } = buildPageQuery(items, ["a", 2], 50, "fetch", undefined, [
+      "code",
+    ]);
+
+    assert.equal(
+      sql,
+      "SELECT code, line, name FROM dbo.items WHERE (active = 1) AND " +
+        "((code COLLATE Latin1_General_BIN2 > ?) OR " +
+        "(code COLLATE Latin1_General_BIN2 = ? AND line > ?)) " +
+        "ORDER BY code COLLATE Latin1_General_BIN2, line " +
+        "FETCH FIRST 50 ROWS ONLY"
+    );
+  });
+
+  it("lets a table choose or turn off the key collation", () => {
+    assert.equal(getKeyCollation({}, "top"), "Latin1_General_BIN2");
+    assert.equal(getKeyCollation({}, "limit"), null);
+    assert.equal(getKeyCollation({ keyCollation: '"C"' }, "limit"), '"C"');
+    assert.equal(getKeyCollation({ keyCollation: null }, "top"), null);
+
+    const { sql } = buildPageQuery(
+      { ...items, keyCollation: null },
+      null,
+      10,
+      "top",
+      undefined,
+      ["code"]
+    );
+    assert.match(sql, /^SELECT TOP 10 .* ORDER BY code, line$/);
+  });
+});
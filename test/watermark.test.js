@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  WATERMARK_KEY,
+  compareWatermarks,
+  encodeWatermark,
+  getIncrementalWatermarks,
+  buildWatermarkState,
+} = require("../utils/watermark");
+
+const table = {
+  name: "items",
+  incremental: { column: "rv", fullScanMinutes: 60 },
+};
+
+describe("watermarks", () => {
+  it("compares binary watermarks byte by byte", () => {
+    const low = Buffer.from("00ff", "hex");
+    const high = Buffer.from("0100", "hex");
+
+    assert.ok(compareWatermarks(low, high) < 0);
+    assert.ok(compareWatermarks(high, low) > 0);
+    assert.equal(compareWatermarks(low, Buffer.from("00ff", "hex")), 0);
+  });
+
+  it("encodes binary watermarks as hex", () => {
+    assert.deepEqual(encodeWatermark(Buffer.from("07d1", "hex")), {
+      value: "0x07D1",
+      binary: true,
+    });
+    assert.deepEqual(encodeWatermark(42), { value: 42 });
+  });
+
+  it("reads a stored binary watermark back as a Buffer", () => {
+    const rows = [
+      { id: 1, rv: Buffer.from("07d1", "hex") },
+      { id: 2, rv: Buffer.from("07d5", "hex") },
+    ];
+    const state = buildWatermarkState({}, { items: rows }, [table], {});
+
+    // The snapshot is saved as JSON
+    const snapshot = JSON.parse(
+      JSON.stringify({ items: rows, [WATERMARK_KEY]: state })
+    );
+    const watermarks = getIncrementalWatermarks(snapshot, [table]);
+
+    assert.deepEqual(watermarks.items, Buffer.from("07d5", "hex"));
+  });
+
+  it("moves the watermark only forward between full scans", () => {
+    const previous = {
+      [WATERMARK_KEY]: {
+        items: { value: "0x07D5", binary: true, lastFullScan: "2024-01-01" },
+      },
+    };
+    const current = Buffer.from("07d5", "hex");
+
+    const unchanged = buildWatermarkState(
+      previous,
+      { items: [{ rv: Buffer.from("07d0", "hex") }] },
+      [table],
+      { items: current }
+    );
+    assert.deepEqual(unchanged.items, previous[WATERMARK_KEY].items);
+
+    const advanced = buildWatermarkState(
+      previous,
+      { items: [{ rv: Buffer.from("0800", "hex") }] },
+      [table],
+      { items: current }
+    );
+    assert.deepEqual(advanced.items, {
+      value: "0x0800",
+      binary: true,
+      lastFullScan: "2024-01-01",
+    });
+  });
+});
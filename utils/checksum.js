@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+/**
+ * Calculate the checksum of a buffer
+ * @param {Buffer} data - File contents
+ * @returns {string} SHA-256 hex digest
+ */
+function computeChecksum(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Build the checksum manifest stored with a snapshot
+ * @param {string} checksum - Checksum of the stored contents
+ * @param {number} size - Size of the stored contents in bytes
+ * @param {Object} [details] - Extra manifest fields, such as row counts
+ * @returns {Object} Manifest
+ */
+function createManifest(checksum, size, details = {}) {
+  return {
+    algorithm: "sha256",
+    checksum,
+    size,
+    createdAt: new Date().toISOString(),
+    ...details,
+  };
+}
+
+module.exports = {
+  computeChecksum,
+  createManifest,
+};
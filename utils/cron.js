@@ -0,0 +1,48 @@
+const { CronExpressionParser } = require("cron-parser");
+
+/**
+ * Check a cron expression with five fields, or six starting with seconds
+ * Fields take numbers, month and weekday names, ranges, lists and steps.
+ * When both the day of the month and the day of the week are restricted,
+ * either one matching is enough, as in standard cron
+ * @param {string} expression - Cron expression, e.g. "0 3 * * mon-fri"
+ * @returns {string} The expression, trimmed
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const trimmed = String(expression).trim();
+  const fieldCount = trimmed.split(/\s+/).length;
+  if (fieldCount !== 5 && fieldCount !== 6) {
+    throw new Error(
+      `Cron expression '${expression}' must have 5 or 6 fields, got ${fieldCount}`
+    );
+  }
+
+  try {
+    CronExpressionParser.parse(trimmed);
+  } catch (err) {
+    throw new Error(`Cron expression '${expression}': ${err.message}`);
+  }
+  return trimmed;
+}
+
+/**
+ * Find the next time a cron expression matches, in local time
+ * @param {string} expression - Expression checked by parseCron
+ * @param {Date} from - Time to search after
+ * @returns {Date|null} Next matching second after from, null if none matches
+ */
+function getNextRun(expression, from) {
+  try {
+    return CronExpressionParser.parse(expression, { currentDate: from })
+      .next()
+      .toDate();
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
@@ -0,0 +1,74 @@
+/**
+ * Find a dependency cycle among tables that could not be ordered
+ * @param {Array<string>} names - Names of the unordered tables
+ * @param {Map<string, Set<string>>} parents - Tables each table depends on
+ * @returns {Array<string>} Table names around the cycle, the first repeated last
+ */
+function findCycle(names, parents) {
+  const remaining = new Set(names);
+  const path = [];
+  let name = names[0];
+
+  // Every unordered table depends on another unordered one, so following
+  // dependencies must eventually revisit a table
+  while (!path.includes(name)) {
+    path.push(name);
+    name = [...parents.get(name)].find((parent) => remaining.has(parent));
+  }
+  return [...path.slice(path.indexOf(name)), name];
+}
+
+/**
+ * Sort tables so each comes after the tables it depends on
+ * Tables without a dependency between them keep their given order
+ * @param {Array<Object>} tables - Table configurations
+ * @param {Array<Array<string>>} dependencies - Pairs of [table, table it
+ *   depends on] by name; pairs naming other tables are ignored
+ * @returns {Array<Object>} Tables, parents before children
+ * @throws {Error} With code DEPENDENCY_CYCLE if the tables depend on each other
+ */
+function sortByDependencies(tables, dependencies) {
+  const parents = new Map(tables.map((table) => [table.name, new Set()]));
+  for (const [child, parent] of dependencies) {
+    if (child !== parent && parents.has(child) && parents.has(parent)) {
+      parents.get(child).add(parent);
+    }
+  }
+
+  const sorted = [];
+  const placed = new Set();
+  let pending = tables;
+
+  while (pending.length > 0) {
+    const ready = pending.filter((table) =>
+      [...parents.get(table.name)].every((parent) => placed.has(parent))
+    );
+
+    if (ready.length === 0) {
+      const cycle = findCycle(
+        pending.map((table) => table.name),
+        parents
+      );
+      const error = new Error(
+        `Circular dependency between tables, they can't be ordered for writing: ${cycle.join(
+          " -> "
+        )}`
+      );
+      error.code = "DEPENDENCY_CYCLE";
+      error.cycle = cycle;
+      throw error;
+    }
+
+    for (const table of ready) {
+      sorted.push(table);
+      placed.add(table.name);
+    }
+    pending = pending.filter((table) => !placed.has(table.name));
+  }
+
+  return sorted;
+}
+
+module.exports = {
+  sortByDependencies,
+};
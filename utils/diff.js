@@ -1,5 +1,6 @@
 const crypto = require("crypto");
 const logger = require("../config/logger");
+const { resolveNormalizeOptions, normalizeRow } = require("./normalize");
 
 // Cache for row hashes to avoid recalculating
 const hashCache = new Map();
@@ -32,49 +33,257 @@ function computeRowHash(row) {
 }
 
 /**
- * Compute differences between old and new datasets
- * @param {Array} oldData - Previous dataset
- * @param {Array} newData - Current dataset
- * @param {string} keyField - Primary key field name
- * @returns {Object} Object with inserts, updates, and deletes arrays
+ * Copy a row without the given columns
+ * @param {Object} row - Row data
+ * @param {Array<string>} columns - Columns to leave out
+ * @returns {Object} Row without the columns
  */
-function computeDiff(oldData, newData, keyField) {
-  // Handle null/undefined inputs gracefully
-  if (!Array.isArray(oldData)) oldData = [];
-  if (!Array.isArray(newData)) newData = [];
+function omitColumns(row, columns) {
+  if (columns.length === 0) {
+    return row;
+  }
 
-  // Create maps for faster lookups
-  const oldMap = new Map();
-  const newMap = new Map();
+  const result = {};
+  for (const [col, value] of Object.entries(row)) {
+    if (!columns.includes(col)) {
+      result[col] = value;
+    }
+  }
+  return result;
+}
 
-  // Pre-process old data
-  for (const row of oldData) {
-    const key = row[keyField];
-    if (key !== undefined && key !== null) {
-      // Skip rows with undefined/null keys
-      oldMap.set(key, {
-        row,
-        hash: computeRowHash(row),
-      });
-    } else {
-      logger.warn(`Skipping row in oldData with missing ${keyField}`);
+/**
+ * Get the value a key column is matched and ordered by
+ * Keys aren't normalized like other columns, so "007" and "7" stay
+ * different rows. Only surrounding whitespace such as CHAR padding is
+ * trimmed, and dates are matched as ISO timestamps
+ * @param {*} value - Raw key column value
+ * @param {boolean} trim - Trim surrounding whitespace from text
+ * @returns {number|string} Numbers as they are, anything else as text
+ */
+function getKeyValue(value, trim) {
+  if (typeof value === "number") {
+    return value;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return trim ? text.trim() : text;
+}
+
+/**
+ * Get the lookup key for a row
+ * Keys are the text of the key values, composite keys a JSON array of them
+ * @param {Object} row - Row data
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @param {boolean} [trim] - Trim surrounding whitespace from text keys
+ * @returns {string|undefined} Key, or undefined if any key column is missing
+ */
+function getRowKey(row, keyField, trim = false) {
+  const values = getKeyFields(keyField).map((field) => row[field]);
+  if (values.some((value) => value === undefined || value === null)) {
+    return undefined;
+  }
+
+  const key = values.map((value) => String(getKeyValue(value, trim)));
+  return Array.isArray(keyField) ? JSON.stringify(key) : key[0];
+}
+
+/**
+ * Check whether normalization trims text, and so text keys
+ * @param {Object|null} normalizeOptions - Resolved normalization options
+ * @returns {boolean} True if keys are trimmed
+ */
+function trimsKeys(normalizeOptions) {
+  return Boolean(normalizeOptions && normalizeOptions.trim);
+}
+
+/**
+ * Normalize a primary key definition to a list of fields
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @returns {Array<string>} Key fields
+ */
+function getKeyFields(keyField) {
+  return Array.isArray(keyField) ? keyField : [keyField];
+}
+
+/**
+ * Get the primary key columns and values of a row
+ * @param {Object} row - Row data
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @returns {Object} Key columns mapped to their values
+ */
+function getKeyValues(row, keyField) {
+  const key = {};
+  for (const field of getKeyFields(keyField)) {
+    key[field] = row[field];
+  }
+  return key;
+}
+
+/**
+ * Compare two versions of a row column by column
+ * @param {Object} oldRow - Previous row data
+ * @param {Object} newRow - Current row data
+ * @param {Object|null} [normalizeOptions] - Resolved normalization applied before comparing
+ * @param {Array<string>} [ignoreColumns] - Columns that never count as changed
+ * @returns {Object} Changed column names with their raw before and after values
+ */
+function compareRows(
+  oldRow,
+  newRow,
+  normalizeOptions = null,
+  ignoreColumns = []
+) {
+  const changedColumns = [];
+  const before = {};
+  const after = {};
+
+  const oldValues = normalizeRow(oldRow, normalizeOptions);
+  const newValues = normalizeRow(newRow, normalizeOptions);
+
+  const columns = new Set([...Object.keys(oldRow), ...Object.keys(newRow)]);
+  for (const col of columns) {
+    if (ignoreColumns.includes(col)) continue;
+
+    // Compare serialized values so Dates and nested values match by content
+    if (JSON.stringify(oldValues[col]) !== JSON.stringify(newValues[col])) {
+      changedColumns.push(col);
+      before[col] = oldRow[col];
+      after[col] = newRow[col];
     }
   }
 
-  // Pre-process new data
-  for (const row of newData) {
-    const key = row[keyField];
-    if (key !== undefined && key !== null) {
+  return { changedColumns, before, after };
+}
+
+/**
+ * Check whether table data is a compact key-to-hash index rather than rows
+ * @param {*} data - Table data from a snapshot
+ * @returns {boolean} True for a hash index
+ */
+function isHashIndex(data) {
+  return data !== null && typeof data === "object" && !Array.isArray(data);
+}
+
+/**
+ * Map rows by key to the hash of their normalized non-key columns
+ * @param {Array} rows - Rows to index
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @param {Object|null} normalizeOptions - Resolved normalization options
+ * @param {Array<string>} ignoreColumns - Columns excluded from the hash
+ * @param {string} label - Name of the dataset for warnings
+ * @returns {Map} Key to { row, hash }
+ */
+function indexRows(rows, keyField, normalizeOptions, ignoreColumns, label) {
+  const keyLabel = Array.isArray(keyField) ? keyField.join(", ") : keyField;
+  const hashColumns = [...ignoreColumns, ...getKeyFields(keyField)];
+  const map = new Map();
+
+  for (const row of rows) {
+    const key = getRowKey(row, keyField, trimsKeys(normalizeOptions));
+    if (key !== undefined) {
       // Skip rows with undefined/null keys
-      newMap.set(key, {
+      map.set(key, {
         row,
-        hash: computeRowHash(row),
+        hash: computeRowHash(
+          omitColumns(normalizeRow(row, normalizeOptions), hashColumns)
+        ),
       });
     } else {
-      logger.warn(`Skipping row in newData with missing ${keyField}`);
+      logger.warn(`Skipping row in ${label} with missing ${keyLabel}`);
     }
   }
 
+  return map;
+}
+
+/**
+ * Rebuild the key columns of a row from a hash index key
+ * The index stores the raw text of the key values (see getRowKey), so the
+ * row matches the target row the key was read from
+ * @param {string} key - Key as stored in a hash index
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @returns {Object} Key columns mapped to their values
+ */
+function keyToRow(key, keyField) {
+  if (!Array.isArray(keyField)) {
+    return { [keyField]: key };
+  }
+
+  const values = JSON.parse(key);
+  const row = {};
+  keyField.forEach((field, i) => {
+    row[field] = values[i];
+  });
+  return row;
+}
+
+/**
+ * Build a compact key-to-hash index of a table for snapshots
+ * Keys are the raw text of the key values, only trimmed like text keys
+ * @param {Array} rows - Rows to index
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @param {Object} [options] - Same options as computeDiff
+ * @returns {Object} Row hash per key
+ */
+function buildHashIndex(rows, keyField, options = {}) {
+  const map = indexRows(
+    rows,
+    keyField,
+    resolveNormalizeOptions(options.normalize),
+    options.ignoreColumns || [],
+    "rows"
+  );
+
+  const index = {};
+  for (const [key, item] of map.entries()) {
+    index[key] = item.hash;
+  }
+  return index;
+}
+
+/**
+ * Compute differences between old and new datasets
+ * @param {Array|Object} oldData - Previous dataset, as rows or a compact hash index
+ * @param {Array} newData - Current dataset
+ * @param {string|Array<string>} keyField - Primary key field name, or an array of names for composite keys
+ * @param {Object} [options] - Diff options
+ * @param {boolean|Object} [options.normalize] - Normalization setting, see utils/normalize.js
+ * @param {Array<string>} [options.ignoreColumns] - Volatile columns excluded from change detection
+ * @param {boolean} [options.detectDeletes] - Report old rows missing from newData as deletes (default true)
+ * @returns {Object} Object with inserts, updates, and deletes arrays.
+ *   Inserts and deletes are rows; each update is an object with the row
+ *   `key`, the full new `row`, the `changedColumns` and their
+ *   `before`/`after` values. Against a hash index the old values are
+ *   unknown, so every column is reported as changed with `before` null and
+ *   deletes only carry the key columns
+ */
+function computeDiff(oldData, newData, keyField, options = {}) {
+  const compareToIndex = isHashIndex(oldData);
+
+  // Handle null/undefined inputs gracefully
+  if (!compareToIndex && !Array.isArray(oldData)) oldData = [];
+  if (!Array.isArray(newData)) newData = [];
+
+  const normalizeOptions = resolveNormalizeOptions(options.normalize);
+  const ignoreColumns = options.ignoreColumns || [];
+  const detectDeletes = options.detectDeletes !== false;
+  // Matching keys are equal, so only other columns are compared
+  const compareColumns = [...ignoreColumns, ...getKeyFields(keyField)];
+
+  // Create maps for faster lookups
+  const oldMap = compareToIndex
+    ? new Map(
+        Object.entries(oldData).map(([key, hash]) => [key, { row: null, hash }])
+      )
+    : indexRows(oldData, keyField, normalizeOptions, ignoreColumns, "oldData");
+  const newMap = indexRows(
+    newData,
+    keyField,
+    normalizeOptions,
+    ignoreColumns,
+    "newData"
+  );
+
   // Find changes efficiently
   const inserts = [];
   const updates = [];
@@ -87,14 +296,33 @@ function computeDiff(oldData, newData, keyField) {
     if (!oldItem) {
       inserts.push(newItem.row);
     } else if (newItem.hash !== oldItem.hash) {
-      updates.push(newItem.row);
+      updates.push({
+        key: getKeyValues(newItem.row, keyField),
+        row: newItem.row,
+        ...(oldItem.row
+          ? compareRows(
+              oldItem.row,
+              newItem.row,
+              normalizeOptions,
+              compareColumns
+            )
+          : {
+              changedColumns: Object.keys(
+                omitColumns(newItem.row, ignoreColumns)
+              ),
+              before: null,
+              after: omitColumns(newItem.row, ignoreColumns),
+            }),
+      });
     }
   }
 
   // Find deleted items
-  for (const [key, oldItem] of oldMap.entries()) {
-    if (!newMap.has(key)) {
-      deletes.push(oldItem.row);
+  if (detectDeletes) {
+    for (const [key, oldItem] of oldMap.entries()) {
+      if (!newMap.has(key)) {
+        deletes.push(oldItem.row || keyToRow(key, keyField));
+      }
     }
   }
 
@@ -105,6 +333,138 @@ function computeDiff(oldData, newData, keyField) {
   return { inserts, updates, deletes };
 }
 
+/**
+ * Compare two key value arrays in ascending order
+ * Keys compare as they were read, the way the source sorts them: numbers
+ * numerically, text by code point, so "10" comes before "7". Positions
+ * flagged numeric also compare numbers given as text, such as PostgreSQL
+ * bigint values, numerically
+ * @param {Array} a - First key values
+ * @param {Array} b - Second key values
+ * @param {Array<boolean>} [numeric] - Whether each key position is numeric
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareKeys(a, b, numeric = []) {
+  for (let i = 0; i < a.length; i++) {
+    let x = a[i];
+    let y = b[i];
+
+    if (numeric[i]) {
+      x = Number(x);
+      y = Number(y);
+    } else if (typeof x !== "number" || typeof y !== "number") {
+      x = String(x);
+      y = String(y);
+    }
+    if (x < y) return -1;
+    if (x > y) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Compute differences between two key-ordered row streams with a merge join
+ * Only the current row of each side is held in memory, so both inputs may be
+ * arbitrarily large as long as they are sorted by key in the same order
+ * @param {AsyncIterable<Object>} oldRows - Previous rows in ascending key order
+ * @param {AsyncIterable<Object>} newRows - Current rows in ascending key order
+ * @param {string|Array<string>} keyField - Primary key field name or names
+ * @param {Object} [options] - Same options as computeDiff, plus
+ * @param {Array<string>} [options.numericKeys] - Key fields both inputs sort
+ *   numerically, even where a value is read as text
+ * @yields {Object} Changes as { type, entry } where type is inserts, updates or deletes
+ */
+async function* streamDiff(oldRows, newRows, keyField, options = {}) {
+  const fields = getKeyFields(keyField);
+  const normalizeOptions = resolveNormalizeOptions(options.normalize);
+  const ignoreColumns = options.ignoreColumns || [];
+  const compareColumns = [...ignoreColumns, ...fields];
+  const trim = trimsKeys(normalizeOptions);
+  const numeric = fields.map((field) =>
+    (options.numericKeys || []).includes(field)
+  );
+
+  const oldIterator = oldRows[Symbol.asyncIterator]();
+  const newIterator = newRows[Symbol.asyncIterator]();
+
+  // Read the next usable row from one side, checking the key order
+  async function next(iterator, label, previous) {
+    for (;;) {
+      const { value: row, done } = await iterator.next();
+      if (done) return null;
+
+      const values = fields.map((field) => row[field]);
+      if (values.some((value) => value === undefined || value === null)) {
+        logger.warn(
+          `Skipping row in ${label} with missing ${fields.join(", ")}`
+        );
+        continue;
+      }
+
+      const key = values.map((value) => getKeyValue(value, trim));
+      if (previous && compareKeys(key, previous.key, numeric) <= 0) {
+        throw new Error(
+          `${label} is not in ascending order of ${fields.join(
+            ", "
+          )} at key ${JSON.stringify(key)}`
+        );
+      }
+
+      return {
+        row,
+        key,
+        hash: computeRowHash(
+          omitColumns(normalizeRow(row, normalizeOptions), compareColumns)
+        ),
+      };
+    }
+  }
+
+  try {
+    let oldItem = await next(oldIterator, "oldData", null);
+    let newItem = await next(newIterator, "newData", null);
+
+    while (oldItem || newItem) {
+      // A finished side sorts after everything left on the other side
+      const order = !oldItem
+        ? 1
+        : !newItem
+        ? -1
+        : compareKeys(oldItem.key, newItem.key, numeric);
+
+      if (order < 0) {
+        yield { type: "deletes", entry: oldItem.row };
+        oldItem = await next(oldIterator, "oldData", oldItem);
+      } else if (order > 0) {
+        yield { type: "inserts", entry: newItem.row };
+        newItem = await next(newIterator, "newData", newItem);
+      } else {
+        if (oldItem.hash !== newItem.hash) {
+          yield {
+            type: "updates",
+            entry: {
+              key: getKeyValues(newItem.row, keyField),
+              row: newItem.row,
+              ...compareRows(
+                oldItem.row,
+                newItem.row,
+                normalizeOptions,
+                compareColumns
+              ),
+            },
+          };
+        }
+        oldItem = await next(oldIterator, "oldData", oldItem);
+        newItem = await next(newIterator, "newData", newItem);
+      }
+    }
+  } finally {
+    // Close both inputs so sources release their connections and files
+    await oldIterator.return?.();
+    await newIterator.return?.();
+  }
+}
+
 /**
  * Clear the hash cache
  * Useful when memory usage needs to be reduced
@@ -118,5 +478,11 @@ function clearHashCache() {
 
 module.exports = {
   computeDiff,
+  isHashIndex,
+  buildHashIndex,
+  getRowKey,
+  compareRows,
+  compareKeys,
+  streamDiff,
   clearHashCache,
 };
@@ -0,0 +1,40 @@
+/**
+ * Check the changes to a table against its change limits
+ * Percentages are of the rows in the previous snapshot. Counts no larger
+ * than those approved for the table pass whatever the limits
+ * @param {Object} table - Table configuration
+ * @param {Object} counts - Changes as { updates, deletes, previousRows }
+ * @param {Object} [approved] - Approved { updates, deletes } for the table
+ * @returns {Array<string>} Limits exceeded, empty if the changes may be applied
+ */
+function checkChangeLimits(table, counts, approved) {
+  const limits = table.changeLimits;
+  const exceeded = [];
+
+  for (const [type, max, maxPercent] of [
+    ["deletes", limits.maxDeletes, limits.maxDeletePercent],
+    ["updates", limits.maxUpdates, limits.maxUpdatePercent],
+  ]) {
+    const count = counts[type];
+    if (count === 0 || (approved && count <= approved[type])) continue;
+
+    if (max != null && count > max) {
+      exceeded.push(`${count} ${type} exceed the limit of ${max}`);
+    }
+
+    const percent =
+      counts.previousRows > 0 ? (count / counts.previousRows) * 100 : 0;
+    if (maxPercent != null && percent > maxPercent) {
+      exceeded.push(
+        `${count} ${type} (${percent.toFixed(1)}% of ${
+          counts.previousRows
+        } rows) exceed the limit of ${maxPercent}%`
+      );
+    }
+  }
+  return exceeded;
+}
+
+module.exports = {
+  checkChangeLimits,
+};
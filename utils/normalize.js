@@ -0,0 +1,127 @@
+// Default normalization applied before rows are hashed and compared
+const DEFAULT_NORMALIZATION = {
+  sortKeys: true, // Serialize columns in a stable order
+  trim: true, // Strip surrounding whitespace, including CHAR padding
+  numbers: true, // Treat numeric strings and numbers as equal
+  timestamps: true, // Compare dates and timestamp strings as ISO UTC
+  timestampZone: "local", // Zone for timestamp strings without an offset: "local" or "utc"
+  emptyAsNull: true, // Treat empty strings and undefined as null
+  columns: {}, // Per-column overrides, or false to compare a column as-is
+};
+
+const NUMERIC_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?/;
+const ZONE_SUFFIX_PATTERN = /(Z|[+-]\d{2}(:?\d{2})?)$/i;
+
+/**
+ * Resolve a table's normalize setting into full options
+ * @param {boolean|Object} [setting] - true/undefined for defaults, false to disable, or overrides
+ * @returns {Object|null} Normalization options, or null when disabled
+ */
+function resolveNormalizeOptions(setting) {
+  if (setting === false) {
+    return null;
+  }
+  if (setting === undefined || setting === true) {
+    return DEFAULT_NORMALIZATION;
+  }
+  return {
+    ...DEFAULT_NORMALIZATION,
+    ...setting,
+    columns: setting.columns || {},
+  };
+}
+
+/**
+ * Convert a timestamp string to ISO UTC form
+ * @param {string} value - Timestamp string
+ * @param {string} zone - Zone assumed when the string has no offset
+ * @returns {string} ISO timestamp, or the original string if it can't be parsed
+ */
+function normalizeTimestampString(value, zone) {
+  let text = value.replace(" ", "T");
+  if (zone === "utc" && !ZONE_SUFFIX_PATTERN.test(text)) {
+    text += "Z";
+  }
+
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+/**
+ * Normalize a single value for comparison
+ * @param {*} value - Raw column value
+ * @param {Object} options - Normalization options
+ * @returns {*} Normalized value
+ */
+function normalizeValue(value, options) {
+  if (value === undefined) {
+    return options.emptyAsNull ? null : value;
+  }
+
+  if (value instanceof Date) {
+    return options.timestamps && !Number.isNaN(value.getTime())
+      ? value.toISOString()
+      : value;
+  }
+
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  let result = options.trim ? value.trim() : value;
+
+  if (options.emptyAsNull && result === "") {
+    return null;
+  }
+
+  if (options.numbers && NUMERIC_PATTERN.test(result)) {
+    const number = Number(result);
+    // Leave values that can't be represented exactly as strings
+    if (Math.abs(number) <= Number.MAX_SAFE_INTEGER) {
+      return number;
+    }
+  }
+
+  if (options.timestamps && TIMESTAMP_PATTERN.test(result)) {
+    result = normalizeTimestampString(result, options.timestampZone);
+  }
+
+  return result;
+}
+
+/**
+ * Normalize a row so equivalent values compare and hash identically
+ * @param {Object} row - Row data
+ * @param {Object|null} options - Resolved normalization options, null to skip
+ * @returns {Object} Normalized copy of the row
+ */
+function normalizeRow(row, options) {
+  if (!options) {
+    return row;
+  }
+
+  const columns = options.sortKeys ? Object.keys(row).sort() : Object.keys(row);
+  const normalized = {};
+
+  for (const col of columns) {
+    const override = options.columns[col];
+
+    if (override === false) {
+      normalized[col] = row[col];
+    } else if (override) {
+      normalized[col] = normalizeValue(row[col], { ...options, ...override });
+    } else {
+      normalized[col] = normalizeValue(row[col], options);
+    }
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  DEFAULT_NORMALIZATION,
+  resolveNormalizeOptions,
+  normalizeValue,
+  normalizeRow,
+};
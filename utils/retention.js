@@ -0,0 +1,155 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grandfather-father-son tiers and the period each keeps one archive per
+const TIERS = [
+  { name: "hourly", setting: "keepHourly" },
+  { name: "daily", setting: "keepDaily" },
+  { name: "weekly", setting: "keepWeekly" },
+];
+
+/**
+ * Get the period an archive falls in for a retention tier
+ * @param {Date} date - Archive time
+ * @param {string} tier - "hourly", "daily" or "weekly"
+ * @returns {string} Period identifier in UTC
+ */
+function getPeriod(date, tier) {
+  const iso = date.toISOString();
+  if (tier === "hourly") {
+    return iso.slice(0, 13);
+  }
+  if (tier === "daily") {
+    return iso.slice(0, 10);
+  }
+
+  // Weeks start on Monday
+  const monday = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a policy keeps archives by count or tier rather than by age
+ * @param {Object} policy - Retention policy
+ * @returns {boolean} True if any count-based rule is set
+ */
+function isTiered(policy) {
+  return policy.keepLast > 0 || TIERS.some((tier) => policy[tier.setting] > 0);
+}
+
+/**
+ * Decide which archives of one kind to keep, newest first
+ * @param {Array<Object>} archives - Archives sorted newest first
+ * @param {Object} policy - Retention policy
+ * @param {Date} now - Current time
+ * @returns {Map<Object, Array<string>>} Reasons to keep, per kept archive
+ */
+function selectKept(archives, policy, now) {
+  const kept = new Map();
+  const keep = (archive, reason) => {
+    if (!kept.has(archive)) kept.set(archive, []);
+    kept.get(archive).push(reason);
+  };
+
+  if (!isTiered(policy)) {
+    for (const archive of archives) {
+      if ((now - archive.modifiedAt) / DAY_MS <= policy.maxAgeDays) {
+        keep(archive, "age");
+      }
+    }
+    return kept;
+  }
+
+  archives.slice(0, policy.keepLast || 0).forEach((a) => keep(a, "last"));
+
+  for (const tier of TIERS) {
+    const limit = policy[tier.setting] || 0;
+    const seen = new Set();
+
+    // The newest archive of each of the most recent periods is kept
+    for (const archive of archives) {
+      if (seen.size >= limit) break;
+      const period = getPeriod(archive.modifiedAt, tier.name);
+      if (!seen.has(period)) {
+        seen.add(period);
+        keep(archive, tier.name);
+      }
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Plan which snapshot archives to delete under a retention policy
+ *
+ * Archives are grouped per database and kind (snapshot or row archives).
+ * With keepLast or any hourly/daily/weekly tier set, only archives selected
+ * by those rules are kept; otherwise archives younger than maxAgeDays are.
+ * A size budget then removes the oldest kept archives of a database until
+ * its archives fit, always leaving the newest one.
+ *
+ * @param {Array<Object>} archives - Archives as { db, id, size, modifiedAt }
+ * @param {Object} policy - Retention policy
+ * @param {number} policy.maxAgeDays - Age limit when no tiers are set
+ * @param {number} [policy.keepLast] - Newest archives to keep
+ * @param {number} [policy.keepHourly] - Hours to keep one archive for
+ * @param {number} [policy.keepDaily] - Days to keep one archive for
+ * @param {number} [policy.keepWeekly] - Weeks to keep one archive for
+ * @param {number} [policy.maxSizeBytes] - Archive size budget per database
+ * @param {Date} [now] - Current time
+ * @returns {Object} { kept, deleted } with a reason for each archive
+ */
+function planRetention(archives, policy, now = new Date()) {
+  const groups = {};
+  for (const archive of archives) {
+    const kind = archive.id.split(".")[0];
+    const key = `${archive.db}/${kind}`;
+    (groups[key] = groups[key] || []).push(archive);
+  }
+
+  const kept = [];
+  const deleted = [];
+
+  for (const group of Object.values(groups)) {
+    group.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    const reasons = selectKept(group, policy, now);
+
+    for (const archive of group) {
+      if (reasons.has(archive)) {
+        kept.push({ ...archive, reasons: reasons.get(archive) });
+      } else {
+        deleted.push({ ...archive, reason: isTiered(policy) ? "tier" : "age" });
+      }
+    }
+  }
+
+  if (policy.maxSizeBytes > 0) {
+    const byDb = {};
+    for (const archive of kept) {
+      (byDb[archive.db] = byDb[archive.db] || []).push(archive);
+    }
+
+    for (const dbArchives of Object.values(byDb)) {
+      dbArchives.sort((a, b) => b.modifiedAt - a.modifiedAt);
+      let total = dbArchives.reduce((sum, a) => sum + a.size, 0);
+
+      while (total > policy.maxSizeBytes && dbArchives.length > 1) {
+        const oldest = dbArchives.pop();
+        total -= oldest.size;
+        kept.splice(kept.indexOf(oldest), 1);
+
+        const { reasons, ...archive } = oldest;
+        deleted.push({ ...archive, reason: "size" });
+      }
+    }
+  }
+
+  return { kept, deleted };
+}
+
+module.exports = {
+  planRetention,
+};
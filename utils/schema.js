@@ -0,0 +1,172 @@
+// Column types are compared by category, since source and target name the
+// same kind of type differently. ODBC result metadata gives an SQL type code
+const ODBC_TYPES = {
+  1: { category: "text", postgresType: "text" }, // CHAR
+  12: { category: "text", postgresType: "text" }, // VARCHAR
+  [-1]: { category: "text", postgresType: "text" }, // LONGVARCHAR
+  [-8]: { category: "text", postgresType: "text" }, // WCHAR
+  [-9]: { category: "text", postgresType: "text" }, // WVARCHAR
+  [-10]: { category: "text", postgresType: "text" }, // WLONGVARCHAR
+  [-11]: { category: "text", postgresType: "uuid" }, // GUID
+  2: { category: "number", postgresType: "numeric" }, // NUMERIC
+  3: { category: "number", postgresType: "numeric" }, // DECIMAL
+  4: { category: "number", postgresType: "integer" }, // INTEGER
+  5: { category: "number", postgresType: "smallint" }, // SMALLINT
+  [-6]: { category: "number", postgresType: "smallint" }, // TINYINT
+  [-5]: { category: "number", postgresType: "bigint" }, // BIGINT
+  6: { category: "number", postgresType: "double precision" }, // FLOAT
+  7: { category: "number", postgresType: "real" }, // REAL
+  8: { category: "number", postgresType: "double precision" }, // DOUBLE
+  [-7]: { category: "boolean", postgresType: "boolean" }, // BIT
+  9: { category: "date", postgresType: "date" }, // DATETIME
+  91: { category: "date", postgresType: "date" }, // TYPE_DATE
+  93: { category: "date", postgresType: "timestamp" }, // TYPE_TIMESTAMP
+  [-155]: { category: "date", postgresType: "timestamptz" }, // SS_TIMESTAMPOFFSET
+  92: { category: "time", postgresType: "time" }, // TYPE_TIME
+  [-154]: { category: "time", postgresType: "time" }, // SS_TIME2
+  [-2]: { category: "binary", postgresType: "bytea" }, // BINARY
+  [-3]: { category: "binary", postgresType: "bytea" }, // VARBINARY
+  [-4]: { category: "binary", postgresType: "bytea" }, // LONGVARBINARY
+};
+
+// Categories of the data_type names reported by information_schema
+const POSTGRES_CATEGORIES = {
+  smallint: "number",
+  integer: "number",
+  bigint: "number",
+  numeric: "number",
+  real: "number",
+  "double precision": "number",
+  money: "number",
+  character: "text",
+  "character varying": "text",
+  text: "text",
+  uuid: "text",
+  boolean: "boolean",
+  date: "date",
+  "timestamp without time zone": "date",
+  "timestamp with time zone": "date",
+  "time without time zone": "time",
+  "time with time zone": "time",
+  bytea: "binary",
+  json: "json",
+  jsonb: "json",
+};
+
+// Rows sampled to infer column types when a result has no metadata
+const INFERENCE_SAMPLE_SIZE = 100;
+
+/**
+ * Infer a column type from a JavaScript value
+ * @param {*} value - Column value
+ * @returns {Object|null} { category, postgresType }, or null for null values
+ */
+function inferValueType(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number" || typeof value === "bigint") {
+    return { category: "number", postgresType: "numeric" };
+  }
+  if (typeof value === "boolean") {
+    return { category: "boolean", postgresType: "boolean" };
+  }
+  if (value instanceof Date) {
+    return { category: "date", postgresType: "timestamptz" };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { category: "binary", postgresType: "bytea" };
+  }
+  if (typeof value === "object") {
+    return { category: "json", postgresType: "jsonb" };
+  }
+  return { category: "text", postgresType: "text" };
+}
+
+/**
+ * Describe the columns of a source result, from the ODBC column metadata
+ * when the result has it, otherwise from the values of the first rows
+ * @param {Array<Object>} rows - Result rows, with metadata in rows.columns
+ * @returns {Array<Object>} Columns as { name, category, postgresType };
+ *   category is null when the type is unknown
+ */
+function describeSourceColumns(rows) {
+  if (Array.isArray(rows.columns) && rows.columns.length > 0) {
+    return rows.columns.map((column) => ({
+      name: column.name,
+      ...(ODBC_TYPES[column.dataType] || {
+        category: null,
+        postgresType: "text",
+      }),
+    }));
+  }
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  return Object.keys(rows[0]).map((name) => {
+    const sample = rows
+      .slice(0, INFERENCE_SAMPLE_SIZE)
+      .find((row) => row[name] !== null && row[name] !== undefined);
+    return {
+      name,
+      ...(inferValueType(sample && sample[name]) || {
+        category: null,
+        postgresType: "text",
+      }),
+    };
+  });
+}
+
+/**
+ * Compare source result columns with the columns of the target table
+ * Names are compared case-insensitively, as PostgreSQL folds the unquoted
+ * names the sync writes with to lower case. Types are only compared when
+ * both sides have a known category
+ * @param {Array<Object>} sourceColumns - Columns from describeSourceColumns
+ * @param {Array<Object>} targetColumns - Target columns as { name, dataType }
+ * @returns {Object} { added, removed, retyped }: source columns missing from
+ *   the target, target column names missing from the source, and columns
+ *   as { name, source, target } whose type categories differ
+ */
+function compareColumns(sourceColumns, targetColumns) {
+  const targetByName = new Map(
+    targetColumns.map((column) => [column.name.toLowerCase(), column])
+  );
+  const sourceNames = new Set(
+    sourceColumns.map((column) => column.name.toLowerCase())
+  );
+
+  const added = [];
+  const retyped = [];
+  for (const column of sourceColumns) {
+    const target = targetByName.get(column.name.toLowerCase());
+    if (!target) {
+      added.push(column);
+      continue;
+    }
+
+    const targetCategory = POSTGRES_CATEGORIES[target.dataType];
+    if (
+      column.category &&
+      targetCategory &&
+      column.category !== targetCategory
+    ) {
+      retyped.push({
+        name: column.name,
+        source: column.category,
+        target: target.dataType,
+      });
+    }
+  }
+
+  const removed = targetColumns
+    .filter((column) => !sourceNames.has(column.name.toLowerCase()))
+    .map((column) => column.name);
+
+  return { added, removed, retyped };
+}
+
+module.exports = {
+  describeSourceColumns,
+  compareColumns,
+};
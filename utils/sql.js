@@ -0,0 +1,455 @@
+const logger = require("../config/logger");
+
+/**
+ * Normalize a primary key definition to a list of columns
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @returns {Array<string>} Primary key columns
+ */
+function getKeyColumns(primaryKey) {
+  return Array.isArray(primaryKey) ? primaryKey : [primaryKey];
+}
+
+// PostgreSQL accepts at most this many bind parameters per statement
+const MAX_PARAMS = 65535;
+
+/**
+ * Get how many rows fit in one statement within the bind parameter limit
+ * @param {number} batchSize - Configured rows per statement
+ * @param {number} paramsPerRow - Bind parameters used by each row
+ * @returns {number} Rows per statement
+ */
+function getBatchSize(batchSize, paramsPerRow) {
+  return Math.max(
+    1,
+    Math.min(batchSize, Math.floor(MAX_PARAMS / paramsPerRow))
+  );
+}
+
+/**
+ * Split rows into batches
+ * @param {Array} rows - Rows to split
+ * @param {number} size - Rows per batch
+ * @returns {Array<Array>} Batches in order
+ */
+function chunk(rows, size) {
+  const batches = [];
+  for (let i = 0; i < rows.length; i += size) {
+    batches.push(rows.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Build an INSERT that updates the existing row on primary key conflict
+ * Rows are bound one after another, each with its columns in order
+ * @param {string} table - Target table name
+ * @param {Array<string>} columns - Columns to write
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {number} [rowCount] - Rows inserted by the statement
+ * @returns {string} Parameterized upsert statement
+ */
+function buildUpsertQuery(table, columns, primaryKey, rowCount = 1) {
+  const keyColumns = getKeyColumns(primaryKey);
+  const rows = [];
+  for (let row = 0; row < rowCount; row++) {
+    const offset = row * columns.length;
+    rows.push(`(${columns.map((_, i) => `$${offset + i + 1}`).join(", ")})`);
+  }
+  const updateColumns = columns.filter((col) => !keyColumns.includes(col));
+
+  const conflictAction =
+    updateColumns.length > 0
+      ? `DO UPDATE SET ${updateColumns
+          .map((col) => `${col} = EXCLUDED.${col}`)
+          .join(", ")}`
+      : "DO NOTHING";
+
+  return `INSERT INTO ${table} (${columns.join(", ")})
+    VALUES ${rows.join(", ")}
+    ON CONFLICT (${keyColumns.join(", ")}) ${conflictAction}`;
+}
+
+/**
+ * Group updates by the columns they write, so rows changing the same
+ * columns are updated together
+ * Only columns that changed are written, plus ignored columns so they are
+ * refreshed alongside a real change. Columns missing from the new row, such
+ * as target-only columns in a baseline read from the target, are never
+ * written, and neither are key columns or columns outside table.columns
+ * @param {Array<Object>} updates - Updates as reported by computeDiff
+ * @param {Object} table - Table configuration
+ * @returns {Array<Object>} Groups as { columns, rows }, skipping updates
+ *   left with nothing to write
+ */
+function groupUpdates(updates, table) {
+  const keyColumns = getKeyColumns(table.primaryKey);
+  const groups = new Map();
+
+  for (const update of updates) {
+    const columns = [
+      ...new Set([...update.changedColumns, ...table.ignoreColumns]),
+    ].filter(
+      (col) =>
+        col in update.row &&
+        !keyColumns.includes(col) &&
+        (!table.columns || table.columns.includes(col))
+    );
+    if (columns.length === 0) continue;
+
+    const groupKey = [...columns].sort().join(",");
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { columns, rows: [] });
+    }
+    groups.get(groupKey).rows.push(update.row);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Build a WHERE clause matching every primary key column
+ * @param {Array<string>} keyColumns - Primary key columns
+ * @param {number} [offset] - Parameters bound before the keys
+ * @returns {string} Condition with the keys bound to $offset+1..$offset+n
+ */
+function buildKeyCondition(keyColumns, offset = 0) {
+  return keyColumns
+    .map((col, i) => `${col} = $${offset + i + 1}`)
+    .join(" AND ");
+}
+
+/**
+ * Build an UPDATE matching a row by primary key
+ * The key columns are bound first, followed by the updated columns in order
+ * @param {string} table - Target table name
+ * @param {Array<string>} columns - Columns to update
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @returns {string} Parameterized update statement
+ */
+function buildUpdateQuery(table, columns, primaryKey) {
+  const keyColumns = getKeyColumns(primaryKey);
+  const setClause = columns
+    .map((col, i) => `${col} = $${i + keyColumns.length + 1}`)
+    .join(", ");
+
+  return `UPDATE ${table}
+    SET ${setClause}
+    WHERE ${buildKeyCondition(keyColumns)}`;
+}
+
+/**
+ * Build an UPDATE of many rows from parallel arrays, one per column
+ * The key columns are bound first, followed by the updated columns, each as
+ * an array cast to the column's type so unnest can pair them up by position
+ * @param {string} table - Target table name
+ * @param {Array<string>} columns - Columns to update
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {Object} columnTypes - SQL type per column name
+ * @returns {string} Parameterized update statement
+ */
+function buildBulkUpdateQuery(table, columns, primaryKey, columnTypes) {
+  const keyColumns = getKeyColumns(primaryKey);
+  const allColumns = [...keyColumns, ...columns];
+  const arrays = allColumns
+    .map((col, i) => `$${i + 1}::${columnTypes[col]}[]`)
+    .join(", ");
+
+  return `UPDATE ${table} AS target
+    SET ${columns.map((col) => `${col} = src.${col}`).join(", ")}
+    FROM unnest(${arrays}) AS src(${allColumns.join(", ")})
+    WHERE ${keyColumns
+      .map((col) => `target.${col} = src.${col}`)
+      .join(" AND ")}`;
+}
+
+/**
+ * Build a WHERE clause matching many rows by primary key
+ * A single key column matches any of an array of keys bound to $1,
+ * composite keys match rowCount rows with each key column bound in order
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {number} rowCount - Rows matched by a composite key
+ * @returns {string} Condition on the keys
+ */
+function buildKeysCondition(primaryKey, rowCount) {
+  const keyColumns = getKeyColumns(primaryKey);
+
+  if (keyColumns.length === 1) {
+    return `${keyColumns[0]} = ANY($1)`;
+  }
+
+  const conditions = [];
+  for (let row = 0; row < rowCount; row++) {
+    conditions.push(
+      `(${buildKeyCondition(keyColumns, row * keyColumns.length)})`
+    );
+  }
+  return conditions.join(" OR ");
+}
+
+/**
+ * Build a DELETE by primary key, with keys bound as for buildKeysCondition
+ * @param {string} table - Target table name
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {number} [rowCount] - Rows matched by a composite key delete
+ * @returns {string} Parameterized delete statement
+ */
+function buildDeleteQuery(table, primaryKey, rowCount = 1) {
+  return `DELETE FROM ${table} WHERE ${buildKeysCondition(
+    primaryKey,
+    rowCount
+  )}`;
+}
+
+/**
+ * Build an UPDATE marking rows as deleted instead of removing them, with
+ * keys bound as for buildKeysCondition
+ * Rows already marked keep the time they were first deleted
+ * @param {string} table - Target table name
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {Object} strategy - { deletedAtColumn, activeColumn }, either may be null
+ * @param {number} [rowCount] - Rows matched by a composite key
+ * @returns {string} Parameterized update statement
+ */
+function buildSoftDeleteQuery(table, primaryKey, strategy, rowCount = 1) {
+  const { deletedAtColumn, activeColumn } = strategy;
+  const assignments = [];
+  if (deletedAtColumn) {
+    assignments.push(
+      `${deletedAtColumn} = COALESCE(${deletedAtColumn}, NOW())`
+    );
+  }
+  if (activeColumn) {
+    assignments.push(`${activeColumn} = FALSE`);
+  }
+
+  return `UPDATE ${table}
+    SET ${assignments.join(", ")}
+    WHERE ${buildKeysCondition(primaryKey, rowCount)}`;
+}
+
+/**
+ * Build a DELETE that moves the rows into an archive table, with keys bound
+ * as for buildKeysCondition
+ * Columns are copied by name, so the archive may order them differently or
+ * leave some out. An archived_at column in the archive gets the time of the move.
+ * Rows the archive's unique keys already hold keep their earlier copy
+ * @param {string} table - Target table name
+ * @param {string} archiveTable - Archive table name
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {number} [rowCount] - Rows matched by a composite key
+ * @returns {string} Parameterized statement
+ */
+function buildArchiveDeleteQuery(
+  table,
+  archiveTable,
+  primaryKey,
+  rowCount = 1
+) {
+  return `WITH moved AS (
+      DELETE FROM ${table}
+      WHERE ${buildKeysCondition(primaryKey, rowCount)}
+      RETURNING *
+    )
+    INSERT INTO ${archiveTable}
+    SELECT (jsonb_populate_record(
+      NULL::${archiveTable},
+      to_jsonb(moved) || jsonb_build_object('archived_at', NOW())
+    )).*
+    FROM moved
+    ON CONFLICT DO NOTHING`;
+}
+
+/**
+ * Build the SQL for one key-ordered page of a table (keyset pagination)
+ * Columns are aliased to the given names, so rows come back with the same
+ * column names as the source even though PostgreSQL folds them to lower case
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Columns to read
+ * @param {string|Array<string>} primaryKey - Primary key column or columns
+ * @param {Array|null} afterKey - Key values of the last row of the previous page, null for the first page
+ * @param {number} pageSize - Maximum rows per page
+ * @param {Object} [options] - Query options
+ * @param {Array<string>} [options.binaryKeys] - Key columns to order by byte
+ *   value (the "C" collation) rather than the database's collation
+ * @param {string} [options.filter] - Condition rows must also match
+ * @returns {Object} Query as { sql, params }
+ */
+function buildKeysetQuery(
+  table,
+  columns,
+  primaryKey,
+  afterKey,
+  pageSize,
+  options = {}
+) {
+  const { binaryKeys = [], filter = null } = options;
+  const keyColumns = getKeyColumns(primaryKey);
+  const orderColumns = keyColumns.map((col) =>
+    binaryKeys.includes(col) ? `${col} COLLATE "C"` : col
+  );
+  const select = columns.map((col) => `${col} AS "${col}"`).join(", ");
+
+  const conditions = filter ? [`(${filter})`] : [];
+  const params = [];
+  if (afterKey) {
+    params.push(...afterKey);
+    conditions.push(
+      `(${orderColumns.join(", ")}) > (${afterKey
+        .map((_, i) => `$${i + 1}`)
+        .join(", ")})`
+    );
+  }
+
+  let sql = `SELECT ${select} FROM ${table}`;
+  if (conditions.length > 0) {
+    sql += ` WHERE ${conditions.join(" AND ")}`;
+  }
+  sql += ` ORDER BY ${orderColumns.join(", ")} LIMIT ${pageSize}`;
+
+  return { sql, params };
+}
+
+// Table names are interpolated into SQL, so only allow plain identifiers
+const TABLE_NAME_PATTERN = /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)?$/;
+
+/**
+ * Check that a table name is a plain, optionally schema-qualified identifier
+ * @param {string} table - Table name
+ * @param {string} label - What the table holds, for the error message
+ * @throws {Error} If the name could inject SQL
+ */
+function assertTableName(table, label) {
+  if (typeof table !== "string" || !TABLE_NAME_PATTERN.test(table)) {
+    throw new Error(`Invalid ${label} table name: ${table}`);
+  }
+}
+
+/**
+ * Create a function that creates a table the first time it is called.
+ * Concurrent callers share the pending creation
+ * @param {Function} getPool - Returns a promise of the pool to create it with
+ * @param {string} table - Table name, optionally schema-qualified
+ * @param {string} definition - Column and constraint definitions
+ * @param {string} label - What the table holds, for log and error messages
+ * @returns {Function} Returns a promise resolved once the table exists
+ */
+function createTableOnce(getPool, table, definition, label) {
+  let ready = null;
+
+  return function ensureTable() {
+    if (!ready) {
+      ready = Promise.resolve()
+        .then(() => {
+          assertTableName(table, label);
+          return getPool();
+        })
+        .then((pool) =>
+          pool.query(`CREATE TABLE IF NOT EXISTS ${table} (${definition})`)
+        )
+        .then(() => {
+          const name = label.charAt(0).toUpperCase() + label.slice(1);
+          logger.info(`${name} table ${table} is ready`);
+        })
+        .catch((err) => {
+          // Retry on the next call instead of caching the failure
+          ready = null;
+          throw err;
+        });
+    }
+    return ready;
+  };
+}
+
+/**
+ * Look up the SQL type of every column of a table
+ * @param {Object} client - Database client
+ * @param {string} table - Table name, optionally schema-qualified
+ * @returns {Promise<Object>} Type per column name, e.g. { id: "integer" }
+ */
+async function getColumnTypes(client, table) {
+  const result = await client.query(
+    `SELECT attname, format_type(atttypid, atttypmod) AS type
+    FROM pg_attribute
+    WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped`,
+    [table]
+  );
+
+  const types = {};
+  for (const row of result.rows) {
+    types[row.attname] = row.type;
+  }
+  return types;
+}
+
+/**
+ * Look up the columns of a table in information_schema
+ * @param {Object} client - Database client
+ * @param {string} table - Table name, optionally schema-qualified
+ * @returns {Promise<Array<Object>>} Columns as { name, dataType, nullable },
+ *   empty if the table doesn't exist
+ */
+async function getTargetColumns(client, table) {
+  const [schema, name] = table.includes(".")
+    ? table.toLowerCase().split(".")
+    : [null, table.toLowerCase()];
+
+  const result = await client.query(
+    `SELECT column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_schema = COALESCE($1, current_schema()) AND table_name = $2
+    ORDER BY ordinal_position`,
+    [schema, name]
+  );
+
+  return result.rows.map((row) => ({
+    name: row.column_name,
+    dataType: row.data_type,
+    nullable: row.is_nullable === "YES",
+  }));
+}
+
+/**
+ * Look up the foreign keys between tables
+ * Self-references are left out, as are constraints only checked at commit
+ * (INITIALLY DEFERRED), since the order rows are written in doesn't matter to them
+ * @param {Object} client - Database client
+ * @param {Array<string>} tables - Table names, optionally schema-qualified
+ * @returns {Promise<Array<Object>>} References as { table, references },
+ *   named as given
+ */
+async function getForeignKeys(client, tables) {
+  const result = await client.query(
+    `SELECT DISTINCT child.name AS table_name, parent.name AS referenced_table
+    FROM unnest($1::text[]) AS child(name)
+    CROSS JOIN unnest($1::text[]) AS parent(name)
+    JOIN pg_constraint c
+      ON c.conrelid = to_regclass(child.name)
+      AND c.confrelid = to_regclass(parent.name)
+    WHERE c.contype = 'f' AND NOT c.condeferred AND c.conrelid <> c.confrelid`,
+    [tables]
+  );
+
+  return result.rows.map((row) => ({
+    table: row.table_name,
+    references: row.referenced_table,
+  }));
+}
+
+module.exports = {
+  assertTableName,
+  createTableOnce,
+  getKeyColumns,
+  getBatchSize,
+  chunk,
+  buildUpsertQuery,
+  buildUpdateQuery,
+  buildBulkUpdateQuery,
+  groupUpdates,
+  buildDeleteQuery,
+  buildSoftDeleteQuery,
+  buildArchiveDeleteQuery,
+  buildKeysetQuery,
+  getColumnTypes,
+  getTargetColumns,
+  getForeignKeys,
+};
@@ -0,0 +1,189 @@
+const logger = require("../config/logger");
+const { getRowKey, isHashIndex } = require("./diff");
+
+// Snapshot key holding per-table watermark state
+const WATERMARK_KEY = "_watermarks";
+
+/**
+ * Compare two watermark values
+ * @param {*} a - First watermark (number, Date, string or Buffer)
+ * @param {*} b - Second watermark
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareWatermarks(a, b) {
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+    return Buffer.compare(a, b);
+  }
+  if (a instanceof Date) a = a.toISOString();
+  if (b instanceof Date) b = b.toISOString();
+
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Find the highest watermark column value in a set of rows
+ * @param {Array<Object>} rows - Source rows
+ * @param {string} column - Watermark column
+ * @returns {*} Highest value, or undefined if no row has one
+ */
+function getMaxWatermark(rows, column) {
+  let max;
+  for (const row of rows) {
+    const value = row[column];
+    if (value === null || value === undefined) continue;
+    if (max === undefined || compareWatermarks(value, max) > 0) {
+      max = value;
+    }
+  }
+  return max instanceof Date ? max.toISOString() : max;
+}
+
+/**
+ * Convert a watermark to the state stored in the snapshot JSON
+ * Binary watermarks, such as a SQL Server rowversion, come back from the
+ * driver as Buffers and are stored as 0x-prefixed hex
+ * @param {*} value - Watermark value
+ * @returns {Object} { value } plus binary: true for binary watermarks
+ */
+function encodeWatermark(value) {
+  if (Buffer.isBuffer(value)) {
+    return { value: `0x${value.toString("hex").toUpperCase()}`, binary: true };
+  }
+  return { value };
+}
+
+/**
+ * Read the watermark value back from a table's stored state
+ * @param {Object} tableState - Watermark state of one table
+ * @returns {*} Watermark value, a Buffer for binary watermarks
+ */
+function decodeWatermark(tableState) {
+  if (tableState.binary) {
+    return Buffer.from(tableState.value.slice(2), "hex");
+  }
+  return tableState.value;
+}
+
+/**
+ * Describe a watermark for log messages
+ * @param {*} value - Watermark value
+ * @returns {string} Readable value
+ */
+function formatWatermark(value) {
+  return Buffer.isBuffer(value) ? encodeWatermark(value).value : String(value);
+}
+
+/**
+ * Decide which incremental tables can be fetched from their last watermark
+ * Tables without a watermark yet, or due for a periodic full scan, are left
+ * out so they are read in full and deletes are detected
+ * @param {Object} snapshot - Previous snapshot, including watermark state
+ * @param {Array<Object>} tableConfigs - Tables being synced
+ * @returns {Object} Watermark per table name for tables fetched incrementally
+ */
+function getIncrementalWatermarks(snapshot, tableConfigs) {
+  const state = snapshot[WATERMARK_KEY] || {};
+  const watermarks = {};
+
+  for (const table of tableConfigs) {
+    const tableState = state[table.name];
+    if (!table.incremental || !snapshot[table.name]) continue;
+    if (!tableState || tableState.value === undefined) continue;
+
+    const sinceFullScan = Date.now() - new Date(tableState.lastFullScan);
+    if (sinceFullScan >= table.incremental.fullScanMinutes * 60 * 1000) {
+      logger.info(`Running periodic full scan of ${table.name}`);
+      continue;
+    }
+
+    watermarks[table.name] = decodeWatermark(tableState);
+  }
+
+  return watermarks;
+}
+
+/**
+ * Merge incrementally fetched rows over the rows already in the snapshot
+ * Tables fetched in full, or whose snapshot is a compact hash index, are
+ * returned as fetched
+ * @param {Object} snapshot - Previous snapshot
+ * @param {Object} fetchedData - Rows fetched from the source, keyed by table name
+ * @param {Array<Object>} tableConfigs - Tables being synced
+ * @param {Object} watermarks - Watermarks used for the fetch
+ * @returns {Object} Complete table contents keyed by table name
+ */
+function mergeIncrementalRows(snapshot, fetchedData, tableConfigs, watermarks) {
+  const merged = { ...fetchedData };
+
+  for (const table of tableConfigs) {
+    if (watermarks[table.name] === undefined) continue;
+    if (isHashIndex(snapshot[table.name])) continue;
+
+    const rowsByKey = new Map();
+    for (const row of snapshot[table.name]) {
+      rowsByKey.set(getRowKey(row, table.primaryKey), row);
+    }
+    for (const row of fetchedData[table.name] || []) {
+      rowsByKey.set(getRowKey(row, table.primaryKey), row);
+    }
+
+    merged[table.name] = [...rowsByKey.values()];
+    logger.info(
+      `Fetched ${(fetchedData[table.name] || []).length} ${
+        table.name
+      } rows changed since ${formatWatermark(watermarks[table.name])}`
+    );
+  }
+
+  return merged;
+}
+
+/**
+ * Build the watermark state to persist with the new snapshot
+ * @param {Object} snapshot - Previous snapshot, including watermark state
+ * @param {Object} fetchedData - Rows fetched from the source, keyed by table name
+ * @param {Array<Object>} tableConfigs - Tables being synced
+ * @param {Object} watermarks - Watermarks used for the fetch
+ * @returns {Object} Watermark state per table name
+ */
+function buildWatermarkState(snapshot, fetchedData, tableConfigs, watermarks) {
+  const state = { ...(snapshot[WATERMARK_KEY] || {}) };
+  const now = new Date().toISOString();
+
+  for (const table of tableConfigs) {
+    if (!table.incremental) continue;
+
+    const rows = fetchedData[table.name] || [];
+    const fetchedMax = getMaxWatermark(rows, table.incremental.column);
+    const previous = state[table.name];
+
+    if (watermarks[table.name] === undefined) {
+      // Full scan: restart from the highest value seen
+      state[table.name] = { ...encodeWatermark(fetchedMax), lastFullScan: now };
+    } else if (
+      fetchedMax !== undefined &&
+      compareWatermarks(fetchedMax, watermarks[table.name]) > 0
+    ) {
+      state[table.name] = {
+        ...encodeWatermark(fetchedMax),
+        lastFullScan: previous.lastFullScan,
+      };
+    }
+  }
+
+  return state;
+}
+
+module.exports = {
+  WATERMARK_KEY,
+  compareWatermarks,
+  encodeWatermark,
+  getIncrementalWatermarks,
+  mergeIncrementalRows,
+  buildWatermarkState,
+};